@@ -3,11 +3,25 @@
 // ── State ──
 let gameMoves = [];    // { san, moveNumber, mover, ply } from local PGN parse
 let analysisData = []; // full analysis entries from server
+let analysisSummary = null; // per-side accuracy/ACPL from the server's 'done' event
 let board = null;
 let currentPly = 0;
+let currentLine = null; // { line, index } while a side-line move is shown
+let viewId = 0;         // bumped on every navigation; stale arrow timers check it
 let moveFilter = 'all';
 let isAnalyzing = false;
+let analysisJobId = null;  // server-side job; also kept in the URL hash for resuming
+let analysisEvents = null; // EventSource following the job's events
 let boardFlipped = false;
+let analysisMultiPv = 3; // engine lines requested per position
+let analysisReuseEvals = true; // use [%eval] annotations instead of re-searching
+let analysisEngine = null; // registry engine name; null uses the server default
+let startFen = new Chess().fen(); // from the PGN's [FEN] header for set-up games
+let analysisPgn = ''; // PGN of the game in view; its headers go into the export
+let exploration = null; // { anchor, moves, index } while trying moves off the game
+let explorationAbort = null; // stops the live search of the explored position
+let review = null; // { side, items, index, phase, tries, tried, feedback, results } while reviewing mistakes
+let reviewAbort = null; // stops the live check of a tried move
 
 // ── DOM refs ──
 const analyzeBtn = document.getElementById('analyzeBtn');
@@ -19,13 +33,20 @@ const inputPanel = document.getElementById('inputPanel');
 const analysisSection = document.getElementById('analysisSection');
 const summaryPanel = document.getElementById('summaryPanel');
 const moveListEl = document.getElementById('moveList');
+const criticalMomentsEl = document.getElementById('criticalMoments');
 const coachPanel = document.getElementById('coachPanel');
 const evalFill = document.getElementById('evalFill');
 const evalLabel = document.getElementById('evalLabel');
+const timeCol = document.getElementById('timeCol');
+const timeChart = document.getElementById('timeChart');
+const timeLabel = document.getElementById('timeLabel');
+const evalGraph = document.getElementById('evalGraph');
 const progressBar = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
 const progressSection = document.getElementById('progressSection');
 const newAnalysisBtn = document.getElementById('newAnalysisBtn');
+const exportPgnBtn = document.getElementById('exportPgnBtn');
+const reviewBtn = document.getElementById('reviewBtn');
 
 const samplePgn = `[Event "Live Chess"]
 [Site "Chess.com"]
@@ -40,10 +61,14 @@ const samplePgn = `[Event "Live Chess"]
 function initBoard() {
   if (board) board.destroy();
   board = Chessboard('board', {
-    position: 'start',
+    position: startFen,
     pieceTheme: '/img/pieces/{piece}.png',
     appearSpeed: 150,
-    moveSpeed: 150
+    moveSpeed: 150,
+    draggable: true,
+    onDragStart: onExploreDragStart,
+    onDrop: onExploreDrop,
+    onSnapEnd: onExploreSnapEnd
   });
   initArrowOverlay();
 }
@@ -288,13 +313,65 @@ function fadeOutArrowTooltip(afterMs) {
   }, afterMs);
 }
 
+// Arrow/highlight colour per move label
+const LABEL_COLORS = {
+  brilliant: '#1baca6',
+  great: '#5c8bb0',
+  only: '#5c8bb0',
+  book: '#a88865',
+  blunder: '#d32f2f',
+  mistake: '#e67e22',
+  miss: '#ca3431',
+  inaccuracy: '#c8a600',
+  good: '#43a047',
+  ok: '#90a4ae'
+};
+
+const THREAT_COLOR = '#e0533f';
+
+// What the side to move is threatened with in the mainline position on the
+// board: the threat the next move faced (the last move is what created it)
+function threatInView() {
+  if (currentLine || exploration) return null;
+  const next = analysisData[currentPly];
+  return next && next.threat ? next.threat : null;
+}
+
+function threatText(threat) {
+  const mate = threat.mateIn ? ` — mate in ${threat.mateIn}` : '';
+  return `Threat: ${threat.move}${mate} (${threat.line.join(' ')})`;
+}
+
+// Threats are drawn as a dashed outline so they read apart from played and best moves
+function drawThreatArrow(threat, boardSize) {
+  const poly = drawArrow(threat.uci.slice(0, 2), threat.uci.slice(2, 4), THREAT_COLOR, 0.12, boardSize,
+    { text: threatText(threat), type: 'threat' });
+  if (!poly) return;
+  poly.setAttribute('stroke', THREAT_COLOR);
+  poly.setAttribute('stroke-width', 2);
+  poly.setAttribute('stroke-dasharray', '6 4');
+  poly.setAttribute('stroke-opacity', 0.9);
+}
+
+function isIssueLabel(label) {
+  return label === 'blunder' || label === 'mistake' || label === 'inaccuracy' || label === 'miss';
+}
+
 function drawArrowsForPly() {
   clearArrows();
   cancelAutoTooltips();
-  if (currentPly === 0) return;
+  if (exploration) {
+    drawExplorationArrows();
+    return;
+  }
+  if (review) {
+    drawReviewArrows();
+    return;
+  }
 
-  const move = analysisData[currentPly - 1];
+  const move = currentEntry();
   if (!move || !move.uci || move.uci.length < 4) return;
+  const view = viewId;
 
   const boardEl = document.getElementById('board');
   if (!boardEl) return;
@@ -303,16 +380,8 @@ function drawArrowsForPly() {
   const playedFrom = move.uci.slice(0, 2);
   const playedTo = move.uci.slice(2, 4);
   const label = move.label || 'ok';
-  const isBad = label === 'blunder' || label === 'mistake' || label === 'inaccuracy';
-
-  const colorMap = {
-    blunder: '#d32f2f',
-    mistake: '#e67e22',
-    inaccuracy: '#c8a600',
-    good: '#43a047',
-    ok: '#90a4ae'
-  };
-  const moveColor = colorMap[label] || '#90a4ae';
+  const isBad = isIssueLabel(label);
+  const moveColor = LABEL_COLORS[label] || LABEL_COLORS.ok;
 
   // Get coaching text for tooltips
   const exp = move.explanation;
@@ -326,16 +395,18 @@ function drawArrowsForPly() {
   const playedFrom_px = squareToPixel(playedFrom, boardSize);
   const playedTo_px = squareToPixel(playedTo, boardSize);
 
-  // Draw played move arrow immediately
+  // Draw played move arrow immediately, with whatever it now threatens
   drawArrow(playedFrom, playedTo, moveColor, isBad ? 0.8 : 0.4, boardSize,
     whyBadText ? { text: whyBadText, type: 'played' } : null);
+  const threat = threatInView();
+  if (threat) drawThreatArrow(threat, boardSize);
 
   // Auto-show played-move tooltip for bad moves
   if (isBad && whyBadText) {
     const midX = (playedFrom_px.x + playedTo_px.x) / 2;
     const midY = Math.min(playedFrom_px.y, playedTo_px.y);
     const t1 = setTimeout(() => {
-      if (currentPly !== move.ply) return;
+      if (view !== viewId) return;
       showArrowTooltip(whyBadText, midX, midY, 'played');
     }, 400);
     autoTooltipTimers.push(t1);
@@ -343,22 +414,18 @@ function drawArrowsForPly() {
 
   // Correction arrow: fade in after delay, rewind board to pre-move position
   if (isBad && move.bestMove) {
-    const bestUci = sanToSquares(move, currentPly);
+    const bestUci = sanToSquares(move);
     if (bestUci) {
       const correctionDelay = whyBadText ? 3500 : 800;
 
       const t2 = setTimeout(() => {
-        if (currentPly !== move.ply || userInteractedWithTooltip) return;
+        if (view !== viewId || userInteractedWithTooltip) return;
 
         // Fade out the played-move tooltip
         if (whyBadText) hideArrowTooltip();
 
         // Rewind board to position BEFORE the bad move
-        const rewind = new Chess();
-        for (let i = 0; i < currentPly - 1; i++) {
-          rewind.move(analysisData[i].san);
-        }
-        board.position(rewind.fen(), true);
+        board.position(fenBefore(move), true);
 
         // Clear played-move arrows, redraw from pre-move context
         if (arrowSvg) {
@@ -368,6 +435,9 @@ function drawArrowsForPly() {
         // Re-get board size (in case of layout shift)
         const bs = boardEl.offsetWidth;
 
+        // The threat the move ignored, back in the position it was made from
+        if (move.threat && move.threat.ignored) drawThreatArrow(move.threat, bs);
+
         // Draw correction arrow starting at opacity 0, then animate in
         const corrPoly = drawArrow(bestUci.from, bestUci.to, '#1b8a2f', 0, bs,
           betterText ? { text: betterText, type: 'best' } : null);
@@ -394,25 +464,21 @@ function drawArrowsForPly() {
             const bestMidX = (bestFrom_px.x + bestTo_px.x) / 2;
             const bestMidY = Math.min(bestFrom_px.y, bestTo_px.y);
             const t3 = setTimeout(() => {
-              if (currentPly !== move.ply || userInteractedWithTooltip) return;
+              if (view !== viewId || userInteractedWithTooltip) return;
               showArrowTooltip(betterText, bestMidX, bestMidY, 'best');
             }, 600);
             autoTooltipTimers.push(t3);
             // Fade out correction tooltip after 4s, then restore board position
             const t4 = setTimeout(() => {
-              if (currentPly !== move.ply) return;
+              if (view !== viewId) return;
               if (!userInteractedWithTooltip) {
                 hideArrowTooltip();
               }
               // Restore board to post-move position
-              const restore = new Chess();
-              for (let i = 0; i < currentPly; i++) {
-                restore.move(analysisData[i].san);
-              }
-              board.position(restore.fen(), true);
+              board.position(fenAfter(move), true);
               // Redraw the played-move arrows
               setTimeout(() => {
-                if (currentPly === move.ply) drawArrowsForPlyStatic();
+                if (view === viewId) drawArrowsForPlyStatic();
               }, 170);
             }, 5200);
             autoTooltipTimers.push(t4);
@@ -432,9 +498,16 @@ function drawArrowsForPlyStatic() {
   if (!arrowSvg) return;
   while (arrowSvg.firstChild) arrowSvg.removeChild(arrowSvg.firstChild);
   // Don't call hideArrowTooltip or cancelAutoTooltips here
+  if (exploration) {
+    drawExplorationArrows();
+    return;
+  }
+  if (review) {
+    drawReviewArrows();
+    return;
+  }
 
-  if (currentPly === 0) return;
-  const move = analysisData[currentPly - 1];
+  const move = currentEntry();
   if (!move || !move.uci || move.uci.length < 4) return;
 
   const boardEl = document.getElementById('board');
@@ -444,16 +517,8 @@ function drawArrowsForPlyStatic() {
   const playedFrom = move.uci.slice(0, 2);
   const playedTo = move.uci.slice(2, 4);
   const label = move.label || 'ok';
-  const isBad = label === 'blunder' || label === 'mistake' || label === 'inaccuracy';
-
-  const colorMap = {
-    blunder: '#d32f2f',
-    mistake: '#e67e22',
-    inaccuracy: '#c8a600',
-    good: '#43a047',
-    ok: '#90a4ae'
-  };
-  const moveColor = colorMap[label] || '#90a4ae';
+  const isBad = isIssueLabel(label);
+  const moveColor = LABEL_COLORS[label] || LABEL_COLORS.ok;
 
   const exp = move.explanation;
   const whyBadText = (exp && exp.whyBad) ? exp.whyBad : null;
@@ -463,23 +528,23 @@ function drawArrowsForPlyStatic() {
   highlightSquare(playedTo, moveColor, 0.35, boardSize);
 
   if (isBad && move.bestMove) {
-    const bestUci = sanToSquares(move, currentPly);
+    const bestUci = sanToSquares(move);
     if (bestUci) {
       drawArrow(bestUci.from, bestUci.to, '#1b8a2f', 0.6, boardSize,
         betterText ? { text: betterText, type: 'best' } : null);
     }
   }
 
+  const threat = threatInView();
+  if (threat) drawThreatArrow(threat, boardSize);
+
   drawArrow(playedFrom, playedTo, moveColor, isBad ? 0.8 : 0.4, boardSize,
     whyBadText ? { text: whyBadText, type: 'played' } : null);
 }
 
-function sanToSquares(move, ply) {
+function sanToSquares(move) {
   try {
-    const chess = new Chess();
-    for (let i = 0; i < ply - 1; i++) {
-      chess.move(analysisData[i].san);
-    }
+    const chess = new Chess(fenBefore(move));
     const result = chess.move(move.bestMove, { sloppy: true });
     if (result) return { from: result.from, to: result.to };
   } catch (e) { /* ignore */ }
@@ -487,17 +552,97 @@ function sanToSquares(move, ply) {
 }
 
 window.addEventListener('resize', () => {
-  if (currentPly > 0) drawArrowsForPlyStatic();
+  if (currentEntry()) drawArrowsForPlyStatic();
 });
 
 // ── Events ──
 sampleBtn.addEventListener('click', () => { pgnInput.value = samplePgn; });
 
+document.querySelectorAll('#multipvToggle .option-btn').forEach((btn) => {
+  btn.addEventListener('click', () => {
+    document.querySelectorAll('#multipvToggle .option-btn').forEach((b) => b.classList.remove('active'));
+    btn.classList.add('active');
+    analysisMultiPv = parseInt(btn.dataset.value, 10) || 1;
+  });
+});
+
+document.querySelectorAll('#evalsToggle .option-btn').forEach((btn) => {
+  btn.addEventListener('click', () => {
+    document.querySelectorAll('#evalsToggle .option-btn').forEach((b) => b.classList.remove('active'));
+    btn.classList.add('active');
+    analysisReuseEvals = btn.dataset.value === 'on';
+  });
+});
+
+// The engine picker only appears when the server has more than one engine
+async function loadEngines() {
+  try {
+    const res = await fetch('/engines');
+    if (!res.ok) return;
+    const data = await res.json();
+    if (!data.engines || data.engines.length < 2) return;
+    const toggle = document.getElementById('engineToggle');
+    toggle.innerHTML = data.engines.map((e) => (
+      `<button class="option-btn${e.name === data.default ? ' active' : ''}" data-value="${escapeHtml(e.name)}">${escapeHtml(e.label)}</button>`
+    )).join('');
+    toggle.querySelectorAll('.option-btn').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        toggle.querySelectorAll('.option-btn').forEach((b) => b.classList.remove('active'));
+        btn.classList.add('active');
+        analysisEngine = btn.dataset.value;
+      });
+    });
+    toggle.style.display = '';
+    document.getElementById('engineLabel').style.display = '';
+  } catch (err) {
+    // Single-engine UI
+  }
+}
+loadEngines();
+
+// Downloads the analysis as PGN with evals, NAGs, engine lines and coaching
+exportPgnBtn.addEventListener('click', async () => {
+  if (isAnalyzing || !analysisData.length) return;
+  exportPgnBtn.disabled = true;
+  exportPgnBtn.textContent = 'Exporting...';
+  try {
+    const resp = await fetch('/export-pgn', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pgn: analysisPgn, analysis: analysisData, summary: analysisSummary })
+    });
+    if (!resp.ok) throw new Error('Export failed');
+    const blob = await resp.blob();
+    const disposition = resp.headers.get('Content-Disposition') || '';
+    const nameMatch = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = nameMatch ? nameMatch[1] : 'chessimus-analysis.pgn';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    exportPgnBtn.textContent = 'Export PGN';
+  } catch (err) {
+    exportPgnBtn.textContent = 'Export failed';
+    setTimeout(() => { exportPgnBtn.textContent = 'Export PGN'; }, 2000);
+  }
+  exportPgnBtn.disabled = false;
+});
+
 newAnalysisBtn.addEventListener('click', () => {
   resetToInput();
 });
 
 function resetToInput() {
+  // Deleting the job makes the server stop the engines and skip coaching
+  closeAnalysisEvents();
+  if (analysisJobId) {
+    fetch('/jobs/' + encodeURIComponent(analysisJobId), { method: 'DELETE' }).catch(() => {});
+    analysisJobId = null;
+  }
+  history.replaceState(null, '', location.pathname + location.search);
   isAnalyzing = false;
   analyzeBtn.disabled = false;
   analysisSection.style.display = 'none';
@@ -508,7 +653,12 @@ function resetToInput() {
   gameUrlInput.value = '';
   gameMoves = [];
   analysisData = [];
+  analysisSummary = null;
+  startFen = new Chess().fen();
   currentPly = 0;
+  currentLine = null;
+  endExploration();
+  endReview();
   boardFlipped = false;
   if (board) { board.destroy(); board = null; }
 }
@@ -530,7 +680,7 @@ analyzeBtn.addEventListener('click', async () => {
       const resp = await fetch('/import', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url })
+        body: JSON.stringify({ url, evals: analysisReuseEvals })
       });
       const data = await resp.json();
       if (!resp.ok || !data.pgn) {
@@ -548,19 +698,33 @@ analyzeBtn.addEventListener('click', async () => {
     return;
   }
 
+  // A file with several games goes to the game picker instead
+  if (countPgnGames(pgn) > 1) {
+    openGamePicker(pgn);
+    return;
+  }
+
   // Direct PGN
   startWithPgn(pgn);
 });
 
 function startWithPgn(pgn) {
+  if (!loadGameForAnalysis(pgn)) return;
+  startAnalysisStream(pgn);
+}
+
+// Shows the analysis view for `pgn` with moves but no evals yet
+function loadGameForAnalysis(pgn) {
   const localMoves = parsePgnLocally(pgn);
   if (!localMoves) {
     statusEl.textContent = 'Could not parse PGN.';
     analyzeBtn.disabled = false;
-    return;
+    return false;
   }
 
   gameMoves = localMoves;
+  analysisPgn = pgn;
+  analysisSummary = null;
   analysisData = localMoves.map((m) => ({
     ...m,
     evalBefore: null,
@@ -569,6 +733,8 @@ function startWithPgn(pgn) {
     label: null,
     bestMove: null,
     pv: null,
+    alternatives: null,
+    playedRank: null,
     explanation: null
   }));
 
@@ -581,7 +747,7 @@ function startWithPgn(pgn) {
 
   showAnalysisView();
   goToPly(0);
-  startAnalysisStream(pgn);
+  return true;
 }
 
 function extractHeader(pgn, key) {
@@ -590,7 +756,210 @@ function extractHeader(pgn, key) {
   return m ? m[1] : '';
 }
 
+// ── Game picker (multi-game PGN) ──
+const gamePickerEl = document.getElementById('gamePicker');
+const gamePickerList = document.getElementById('gamePickerList');
+const gamePickerTitle = document.getElementById('gamePickerTitle');
+const analyzeAllBtn = document.getElementById('analyzeAllBtn');
+
+let pickerPgn = '';
+let pickerGames = [];   // { index, headers, moves, pgn, error } from /pgn-games
+let pickerResults = {}; // game index → { status, pct, analysis, summary, error }
+let batchRunning = false;
+let batchId = 0;        // events from a batch started for an earlier file are ignored
+let batchAbort = null;
+
+function countPgnGames(pgn) {
+  const events = (pgn.match(/^\s*\[Event\s/gm) || []).length;
+  const whites = (pgn.match(/^\s*\[White\s/gm) || []).length;
+  return Math.max(events, whites, 1);
+}
+
+async function openGamePicker(pgn) {
+  statusEl.textContent = 'Reading games...';
+  analyzeBtn.disabled = true;
+  try {
+    const resp = await fetch('/pgn-games', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pgn })
+    });
+    const data = await resp.json();
+    if (!resp.ok || !data.games) {
+      statusEl.textContent = data.error || 'Could not read the PGN file.';
+      return;
+    }
+    stopBatch();
+    pickerPgn = pgn;
+    pickerGames = data.games;
+    pickerResults = {};
+    statusEl.textContent = '';
+    gamePickerEl.style.display = '';
+    renderGamePicker();
+  } catch (err) {
+    statusEl.textContent = 'Could not read the PGN file: ' + err.message;
+  } finally {
+    analyzeBtn.disabled = false;
+  }
+}
+
+function renderGamePicker() {
+  const done = Object.values(pickerResults).filter((r) => r.status === 'done').length;
+  gamePickerTitle.textContent = done
+    ? `${pickerGames.length} games · ${done} analyzed`
+    : `${pickerGames.length} games`;
+  analyzeAllBtn.disabled = batchRunning || pickerGames.every((g) => g.error || pickerResults[g.index]);
+
+  let html = '';
+  for (const game of pickerGames) {
+    const h = game.headers;
+    const result = pickerResults[game.index];
+    const players = `${escapeHtml(h.White || '?')} – ${escapeHtml(h.Black || '?')}`;
+    const meta = [
+      h.Round ? 'Round ' + escapeHtml(h.Round) : '',
+      h.Result ? escapeHtml(h.Result) : '',
+      game.moves ? `${Math.ceil(game.moves / 2)} moves` : ''
+    ].filter(Boolean).join(' · ');
+
+    let status = '';
+    let action = '';
+    if (game.error) {
+      status = `<span class="picker-status error" title="${escapeHtml(game.error)}">Unreadable</span>`;
+    } else if (!result) {
+      action = `<button class="picker-btn" data-action="analyze" data-game="${game.index}">Analyze</button>`;
+    } else if (result.status === 'queued') {
+      status = '<span class="picker-status">Queued</span>';
+    } else if (result.status === 'running') {
+      status = `<span class="picker-status running">${result.pct}%</span>`;
+    } else if (result.status === 'failed') {
+      status = `<span class="picker-status error" title="${escapeHtml(result.error)}">Failed</span>`;
+    } else {
+      status = `<span class="picker-status done">${pickerAccuracy(result.summary)}</span>`;
+      action = `<button class="picker-btn" data-action="open" data-game="${game.index}">Open</button>`;
+    }
+
+    html += `<div class="picker-row">`;
+    html += `<div class="picker-info"><span class="picker-players">${players}</span><span class="picker-meta">${meta}</span></div>`;
+    html += status + action;
+    html += `</div>`;
+  }
+  gamePickerList.innerHTML = html;
+
+  gamePickerList.querySelectorAll('.picker-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const index = parseInt(btn.dataset.game, 10);
+      const game = pickerGames.find((g) => g.index === index);
+      if (!game) return;
+      if (btn.dataset.action === 'open') openAnalyzedGame(game);
+      else startWithPgn(game.pgn);
+    });
+  });
+}
+
+function pickerAccuracy(summary) {
+  if (!summary || !summary.white || !summary.black) return 'Done';
+  const fmt = (s) => (s.accuracy === null || s.accuracy === undefined ? '—' : s.accuracy.toFixed(1));
+  return `${fmt(summary.white)} / ${fmt(summary.black)}`;
+}
+
+analyzeAllBtn.addEventListener('click', () => {
+  const queue = pickerGames.filter((g) => !g.error && !pickerResults[g.index]).map((g) => g.index);
+  if (!queue.length) return;
+  for (const index of queue) pickerResults[index] = { status: 'queued', pct: 0 };
+  batchRunning = true;
+  renderGamePicker();
+
+  const id = batchId;
+  batchAbort = new AbortController();
+  const onEvent = (event, data) => {
+    if (id === batchId) handleBatchEvent(event, data);
+  };
+  const onEnd = () => {
+    if (id !== batchId) return;
+    batchRunning = false;
+    // Anything still queued when the stream closed never started
+    for (const index of queue) {
+      const r = pickerResults[index];
+      if (r.status === 'queued' || r.status === 'running') pickerResults[index] = { status: 'failed', error: 'Stream closed.' };
+    }
+    renderGamePicker();
+  };
+  postEventStream('/analyze-batch', { pgn: pickerPgn, multipv: analysisMultiPv, reuseEvals: analysisReuseEvals, engine: analysisEngine || undefined, games: queue }, onEvent, onEnd, batchAbort.signal)
+    .catch((err) => {
+      if (err.name === 'AbortError') return;
+      statusEl.textContent = 'Batch analysis failed: ' + err.message;
+      onEnd();
+    });
+});
+
+function handleBatchEvent(event, data) {
+  const result = pickerResults[data.game];
+  switch (event) {
+    case 'game':
+      pickerResults[data.game] = { status: 'running', pct: 0 };
+      break;
+    case 'stockfish':
+      if (result) result.pct = Math.round((data.current / data.total) * 75);
+      break;
+    case 'puzzles':
+      if (result) result.pct = 75 + Math.round((data.current / data.total) * 5);
+      break;
+    case 'coach':
+      if (result) result.pct = 80 + Math.round((data.current / data.total) * 20);
+      break;
+    case 'game-done':
+      pickerResults[data.game] = { status: 'done', analysis: data.analysis, summary: data.summary };
+      if (data.summary) storePuzzles(data.summary.puzzles);
+      break;
+    case 'game-error':
+      pickerResults[data.game] = { status: 'failed', error: data.error };
+      break;
+    default:
+      return;
+  }
+  renderGamePicker();
+}
+
+// A finished batch game opens straight into the analysis view, no stream
+function openAnalyzedGame(game) {
+  const result = pickerResults[game.index];
+  if (!result || !result.analysis || !result.analysis.length) return;
+
+  startFen = result.analysis[0].fenBefore;
+  gameMoves = result.analysis.map((m) => ({ ply: m.ply, moveNumber: m.moveNumber, mover: m.mover, san: m.san, uci: m.uci }));
+  analysisData = result.analysis;
+  analysisSummary = result.summary;
+  analysisPgn = game.pgn || '';
+
+  const openingEl = document.getElementById('openingName');
+  if (openingEl) openingEl.textContent = game.headers.Opening || game.headers.ECO || '';
+
+  showAnalysisView();
+  progressSection.style.display = 'none';
+  exportPgnBtn.disabled = false;
+  reviewBtn.disabled = false;
+  renderSummary();
+  goToPly(0);
+}
+
+function stopBatch() {
+  batchId++;
+  batchRunning = false;
+  if (batchAbort) {
+    batchAbort.abort();
+    batchAbort = null;
+  }
+}
+
+document.getElementById('closePickerBtn').addEventListener('click', () => {
+  stopBatch();
+  pickerGames = [];
+  pickerResults = {};
+  gamePickerEl.style.display = 'none';
+});
+
 // ── Local PGN parsing ──
+// Also sets startFen, since loadPgn honours a [FEN] header
 function parsePgnLocally(pgn) {
   try {
     const chess = new Chess();
@@ -598,10 +967,11 @@ function parsePgnLocally(pgn) {
     const history = chess.history({ verbose: true });
     if (!history.length) return null;
 
+    startFen = history[0].before;
     return history.map((move, i) => ({
       ply: i + 1,
-      moveNumber: Math.floor(i / 2) + 1,
-      mover: i % 2 === 0 ? 'White' : 'Black',
+      moveNumber: parseInt(move.before.split(' ')[5], 10) || 1,
+      mover: move.color === 'w' ? 'White' : 'Black',
       san: move.san,
       uci: move.from + move.to + (move.promotion || '')
     }));
@@ -610,27 +980,129 @@ function parsePgnLocally(pgn) {
   }
 }
 
+// Board state after `ply` mainline moves
+function positionAt(ply) {
+  const chess = new Chess(startFen);
+  for (let i = 0; i < ply; i++) {
+    chess.move(analysisData[i].san);
+  }
+  return chess;
+}
+
+// Server entries carry their FENs; mainline entries from the local parse don't yet
+function fenBefore(move) {
+  return move.fenBefore || positionAt(move.ply - 1).fen();
+}
+
+function fenAfter(move) {
+  return move.fenAfter || positionAt(move.ply).fen();
+}
+
+// The move whose resulting position is on the board: an explored move, a
+// side-line move, or the mainline move at currentPly (null at the start position)
+function currentEntry() {
+  if (exploration) return exploration.moves[exploration.index] || null;
+  if (currentLine) return currentLine.line[currentLine.index];
+  return currentPly > 0 ? analysisData[currentPly - 1] || null : null;
+}
+
 // ── Show analysis view ──
 function showAnalysisView() {
   inputPanel.style.display = 'none';
   analysisSection.style.display = '';
   summaryPanel.innerHTML = '';
+  criticalMomentsEl.innerHTML = '';
+  exportPgnBtn.disabled = true;
+  reviewBtn.disabled = true;
   progressSection.style.display = '';
+  endExploration();
+  endReview();
   initBoard();
   renderMoveList();
 }
 
 // ── SSE streaming ──
+// The analysis runs as a server job; its events are followed with an
+// EventSource, which reconnects by itself and resumes from Last-Event-ID
 function startAnalysisStream(pgn) {
   isAnalyzing = true;
   analyzeBtn.disabled = true;
   setProgress(0, 'Starting analysis...');
 
-  // Use fetch + ReadableStream to handle POST SSE (EventSource only supports GET)
-  fetch('/analyze-stream', {
+  fetch('/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pgn, multipv: analysisMultiPv, reuseEvals: analysisReuseEvals, engine: analysisEngine || undefined })
+  }).then(async (resp) => {
+    const data = await resp.json();
+    if (!resp.ok || !data.id) throw new Error(data.error || 'Analysis request failed.');
+    followJob(data.id);
+  }).catch((err) => {
+    setProgress(0, 'Error: ' + err.message);
+    isAnalyzing = false;
+    analyzeBtn.disabled = false;
+  });
+}
+
+const JOB_EVENTS = ['phase', 'stockfish', 'puzzles', 'move', 'coach', 'done', 'error', 'cancelled'];
+
+function followJob(id) {
+  closeAnalysisEvents();
+  analysisJobId = id;
+  history.replaceState(null, '', '#job=' + encodeURIComponent(id));
+
+  const source = new EventSource('/jobs/' + encodeURIComponent(id) + '/events');
+  analysisEvents = source;
+  for (const type of JOB_EVENTS) {
+    source.addEventListener(type, (e) => {
+      // Connection drops also arrive as 'error' (without data); EventSource retries those
+      if (!e.data) return;
+      let data;
+      try { data = JSON.parse(e.data); } catch (err) { return; }
+      // Finished jobs end the stream; close it so EventSource doesn't reconnect
+      if (type === 'done' || type === 'error' || type === 'cancelled') closeAnalysisEvents();
+      handleSSE(type, data);
+    });
+  }
+}
+
+function closeAnalysisEvents() {
+  if (analysisEvents) {
+    analysisEvents.close();
+    analysisEvents = null;
+  }
+}
+
+// After a refresh, pick the job in the URL hash back up: the move list is
+// rebuilt from the job's PGN and its events are replayed from the start
+async function resumeJobFromHash() {
+  const match = location.hash.match(/^#job=([\w-]+)$/);
+  if (!match) return;
+  try {
+    const resp = await fetch('/jobs/' + match[1]);
+    if (!resp.ok) {
+      history.replaceState(null, '', location.pathname + location.search);
+      return;
+    }
+    const job = await resp.json();
+    pgnInput.value = job.pgn;
+    if (!loadGameForAnalysis(job.pgn)) return;
+    isAnalyzing = true;
+    analyzeBtn.disabled = true;
+    setProgress(0, 'Reconnecting...');
+    followJob(job.id);
+  } catch (err) { /* stay on the input page */ }
+}
+
+resumeJobFromHash();
+
+// Use fetch + ReadableStream to handle POST SSE (EventSource only supports GET)
+function postEventStream(url, payload, onEvent, onEnd, signal) {
+  return fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ pgn })
+    body: JSON.stringify(payload),
+    signal
   }).then((response) => {
     if (!response.ok) throw new Error('Analysis request failed.');
     const reader = response.body.getReader();
@@ -640,7 +1112,7 @@ function startAnalysisStream(pgn) {
     function pump() {
       return reader.read().then(({ done, value }) => {
         if (done) {
-          onStreamEnd();
+          onEnd();
           return;
         }
         buffer += decoder.decode(value, { stream: true });
@@ -656,7 +1128,7 @@ function startAnalysisStream(pgn) {
           } else if (line.startsWith('data: ') && eventType) {
             try {
               const data = JSON.parse(line.slice(6));
-              handleSSE(eventType, data);
+              onEvent(eventType, data);
             } catch (e) { /* skip bad JSON */ }
             eventType = null;
           }
@@ -667,18 +1139,19 @@ function startAnalysisStream(pgn) {
     }
 
     return pump();
-  }).catch((err) => {
-    setProgress(0, 'Error: ' + err.message);
-    isAnalyzing = false;
-    analyzeBtn.disabled = false;
   });
 }
 
+let reusedNote = ''; // progress suffix when [%eval] annotations were reused
+
 function handleSSE(event, data) {
   switch (event) {
     case 'phase':
       if (data.phase === 'stockfish') {
-        setProgress(0, `Evaluating positions... 0/${data.total}`);
+        reusedNote = data.reused ? ` (${data.reused} from PGN evals)` : '';
+        setProgress(0, `Evaluating positions... 0/${data.total}${reusedNote}`);
+      } else if (data.phase === 'puzzles') {
+        setProgress(75, `Finding puzzles... 0/${data.total}`);
       } else if (data.phase === 'coaching') {
         setProgress(80, `Coaching moves... 0/${data.total}`);
       }
@@ -686,7 +1159,15 @@ function handleSSE(event, data) {
 
     case 'stockfish': {
       const pct = Math.round((data.current / data.total) * 75);
-      setProgress(pct, `Evaluating positions... ${data.current}/${data.total}`);
+      // The server retries crashed or stuck engine searches instead of failing
+      const retryNote = data.retries ? ` · ${data.retries} engine ${data.retries === 1 ? 'retry' : 'retries'}` : '';
+      setProgress(pct, `Evaluating positions... ${data.current}/${data.total}${reusedNote}${retryNote}`);
+      break;
+    }
+
+    case 'puzzles': {
+      const pct = 75 + Math.round((data.current / data.total) * 5);
+      setProgress(pct, `Finding puzzles... ${data.current}/${data.total}`);
       break;
     }
 
@@ -701,7 +1182,7 @@ function handleSSE(event, data) {
       if (idx !== -1) {
         analysisData[idx].explanation = data.explanation;
         // If user is viewing this move, refresh coach panel
-        if (currentPly === data.ply) updateCoachPanel();
+        if (!currentLine && currentPly === data.ply) updateCoachPanel();
       }
       const pct = 80 + Math.round((data.current / data.total) * 20);
       setProgress(pct, `Coaching moves... ${data.current}/${data.total}`);
@@ -709,6 +1190,8 @@ function handleSSE(event, data) {
     }
 
     case 'done':
+      analysisSummary = data.summary || null;
+      if (analysisSummary) storePuzzles(analysisSummary.puzzles);
       onStreamEnd();
       break;
 
@@ -717,6 +1200,12 @@ function handleSSE(event, data) {
       isAnalyzing = false;
       analyzeBtn.disabled = false;
       break;
+
+    case 'cancelled':
+      setProgress(0, 'Analysis cancelled.');
+      isAnalyzing = false;
+      analyzeBtn.disabled = false;
+      break;
   }
 }
 
@@ -731,7 +1220,7 @@ function updateMoveData(serverMove) {
   renderMoveList();
 
   // If user is viewing this move, update eval bar and coach panel
-  if (currentPly === serverMove.ply) {
+  if (!currentLine && currentPly === serverMove.ply) {
     updateEvalBar();
     updateCoachPanel();
   }
@@ -740,11 +1229,13 @@ function updateMoveData(serverMove) {
 function onStreamEnd() {
   isAnalyzing = false;
   analyzeBtn.disabled = false;
+  exportPgnBtn.disabled = !analysisData.length;
+  reviewBtn.disabled = !analysisData.length;
   progressSection.style.display = 'none';
   renderSummary();
   renderMoveList();
   // Refresh current view
-  if (currentPly > 0) {
+  if (currentEntry()) {
     updateEvalBar();
     updateCoachPanel();
   }
@@ -757,8 +1248,8 @@ function setProgress(pct, text) {
 
 // ── Navigation ──
 document.getElementById('navStart').addEventListener('click', () => goToPly(0));
-document.getElementById('navPrev').addEventListener('click', () => goToPly(currentPly - 1));
-document.getElementById('navNext').addEventListener('click', () => goToPly(currentPly + 1));
+document.getElementById('navPrev').addEventListener('click', stepBack);
+document.getElementById('navNext').addEventListener('click', stepForward);
 document.getElementById('navEnd').addEventListener('click', () => goToPly(analysisData.length));
 
 document.getElementById('flipBtn').addEventListener('click', () => {
@@ -773,10 +1264,16 @@ document.getElementById('flipBtn').addEventListener('click', () => {
 document.addEventListener('keydown', (e) => {
   if (!analysisData.length) return;
   if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
-  if (e.key === 'ArrowLeft') { e.preventDefault(); goToPly(currentPly - 1); }
-  if (e.key === 'ArrowRight') { e.preventDefault(); goToPly(currentPly + 1); }
+  // Arrow keys would leave the review; Escape ends it
+  if (review) {
+    if (e.key === 'Escape') { e.preventDefault(); stopReview(); }
+    return;
+  }
+  if (e.key === 'ArrowLeft') { e.preventDefault(); stepBack(); }
+  if (e.key === 'ArrowRight') { e.preventDefault(); stepForward(); }
   if (e.key === 'Home') { e.preventDefault(); goToPly(0); }
   if (e.key === 'End') { e.preventDefault(); goToPly(analysisData.length); }
+  if (e.key === 'Escape' && exploration) { e.preventDefault(); returnToGame(); }
 });
 
 // Filters
@@ -789,31 +1286,581 @@ document.querySelectorAll('.filter-btn').forEach((btn) => {
   });
 });
 
-function goToPly(ply) {
-  ply = Math.max(0, Math.min(ply, analysisData.length));
-  currentPly = ply;
+function goToPly(ply) {
+  ply = Math.max(0, Math.min(ply, analysisData.length));
+  currentPly = ply;
+  currentLine = null;
+  endExploration();
+  endReview();
+  showCurrentPosition(positionAt(ply).fen());
+}
+
+// Side lines are stepped through like the mainline; currentPly is left alone
+function goToVariation(line, index) {
+  currentLine = { line, index };
+  endExploration();
+  endReview();
+  showCurrentPosition(line[index].fenAfter);
+}
+
+function showCurrentPosition(fen) {
+  viewId++;
+  board.position(fen, true);
+  // Draw arrows after piece animation finishes
+  setTimeout(drawArrowsForPly, 170);
+  updateEvalBar();
+  updateCoachPanel();
+  highlightCurrentMove();
+}
+
+function stepForward() {
+  if (exploration) {
+    if (exploration.index + 1 < exploration.moves.length) goToExploredMove(exploration.index + 1);
+  } else if (!currentLine) {
+    goToPly(currentPly + 1);
+  } else if (currentLine.index + 1 < currentLine.line.length) {
+    goToVariation(currentLine.line, currentLine.index + 1);
+  }
+}
+
+function stepBack() {
+  if (exploration) {
+    if (exploration.index > 0) goToExploredMove(exploration.index - 1);
+    else returnToGame();
+  } else if (!currentLine) goToPly(currentPly - 1);
+  else goToPositionBefore(currentLine.line, currentLine.index);
+}
+
+// The position a move was played from: the previous move on its line, or for
+// the first move of a side line, the position before the move it replaces
+function goToPositionBefore(line, index) {
+  if (index > 0) {
+    goToVariation(line, index - 1);
+    return;
+  }
+  const parent = variationParents.get(line);
+  if (!parent) goToPly(line[0].ply - 1);
+  else if (parent.line) goToPositionBefore(parent.line, parent.index);
+  else goToPly(parent.index);
+}
+
+function highlightCurrentMove() {
+  moveListEl.querySelectorAll('.move-cell').forEach((el) => {
+    el.classList.toggle('active-move', !currentLine && parseInt(el.dataset.ply, 10) === currentPly);
+  });
+  moveListEl.querySelectorAll('.var-move').forEach((el) => {
+    const ref = variationRefs[parseInt(el.dataset.var, 10)];
+    el.classList.toggle('active-move', !!currentLine && !!ref &&
+      ref.line === currentLine.line && ref.index === currentLine.index);
+  });
+  const active = moveListEl.querySelector('.active-move');
+  if (active) active.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  renderTimeChart();
+  renderEvalGraph();
+}
+
+
+// ── Exploration ──
+// Dragging a piece on the analysis board branches a local "what if" line off
+// the position in view. Each explored position is searched live through
+// /analyze-position; stepping back past the first explored move or "Back to
+// game" returns to where the branch started.
+function displayedFen() {
+  const entry = currentEntry();
+  return entry ? fenAfter(entry) : startFen;
+}
+
+function onExploreDragStart(source, piece) {
+  if (review) return onReviewDragStart(piece);
+  if (!analysisData.length) return false;
+  const fen = displayedFen();
+  // The board can be mid-way through a correction replay; only drag the real position
+  if (board.fen() !== fen.split(' ')[0]) return false;
+  const chess = new Chess(fen);
+  if (chess.isGameOver()) return false;
+  cancelAutoTooltips();
+  hideArrowTooltip();
+  return piece[0] === chess.turn();
+}
+
+function onExploreDrop(source, target) {
+  if (review) return onReviewDrop(source, target);
+  const fen = displayedFen();
+  const chess = new Chess(fen);
+  let move = null;
+  try {
+    move = chess.move({ from: source, to: target, promotion: 'q' });
+  } catch (e) { /* illegal move */ }
+  if (!move) return 'snapback';
+  const uci = move.from + move.to + (move.promotion || '');
+
+  // Playing the game's own next move just follows the game
+  if (!exploration) {
+    const next = currentLine ? currentLine.line[currentLine.index + 1] : analysisData[currentPly];
+    if (next && next.uci === uci) {
+      if (currentLine) goToVariation(currentLine.line, currentLine.index + 1);
+      else goToPly(currentPly + 1);
+      return;
+    }
+  }
+
+  const previous = currentEntry();
+  const first = analysisData[0];
+  if (!exploration) {
+    exploration = { anchor: { ply: currentPly, line: currentLine }, moves: [], index: -1 };
+  }
+  // A new move replaces whatever was explored after this position
+  exploration.moves.length = exploration.index + 1;
+  exploration.moves.push({
+    san: move.san,
+    uci,
+    mover: move.color === 'w' ? 'White' : 'Black',
+    moveNumber: parseInt(fen.split(' ')[5], 10) || 1,
+    fenBefore: fen,
+    fenAfter: chess.fen(),
+    evalBefore: previous ? previous.evalAfter : (first ? first.evalBefore : null),
+    evalAfter: null,
+    depth: null,
+    bestMove: null,
+    alternatives: [],
+    gameOver: null,
+    searched: false,
+    error: null
+  });
+  goToExploredMove(exploration.moves.length - 1);
+}
+
+function onExploreSnapEnd() {
+  if (review) {
+    onReviewSnapEnd();
+    return;
+  }
+  if (board) board.position(displayedFen());
+}
+
+function goToExploredMove(index) {
+  exploration.index = index;
+  const entry = exploration.moves[index];
+  showCurrentPosition(entry.fenAfter);
+  if (!entry.searched) searchExploredMove(entry);
+}
+
+// Leaves exploration mode without moving the board
+function endExploration() {
+  if (explorationAbort) explorationAbort.abort();
+  explorationAbort = null;
+  exploration = null;
+}
+
+function returnToGame() {
+  if (!exploration) return;
+  const { anchor } = exploration;
+  if (anchor.line) goToVariation(anchor.line.line, anchor.line.index);
+  else goToPly(anchor.ply);
+}
+
+// Streams engine lines for an explored position; each completed depth
+// refreshes the eval bar, arrows and panel if the position is still in view
+function searchExploredMove(entry) {
+  if (explorationAbort) explorationAbort.abort();
+  const controller = new AbortController();
+  explorationAbort = controller;
+  entry.error = null;
+
+  const payload = { fen: entry.fenAfter, multipv: analysisMultiPv };
+  if (analysisEngine) payload.engine = analysisEngine;
+
+  const refresh = () => {
+    if (entry !== currentEntry()) return;
+    updateEvalBar();
+    updateCoachPanel();
+    drawArrowsForPlyStatic();
+  };
+
+  postEventStream('/analyze-position', payload, (event, data) => {
+    if (event === 'info' || event === 'done') {
+      if (data.lines && data.lines.length) {
+        entry.alternatives = data.lines;
+        entry.depth = data.lines[0].depth;
+        entry.evalAfter = data.lines[0].eval;
+        entry.bestMove = data.lines[0].move;
+      }
+      if (data.gameOver) {
+        entry.gameOver = data.gameOver;
+        entry.evalAfter = data.gameOver === 'checkmate' ? 'M0' : '0.00';
+      }
+      if (event === 'done') entry.searched = true;
+    } else if (event === 'error') {
+      entry.error = data.error;
+    }
+    refresh();
+  }, () => {
+    if (explorationAbort === controller) explorationAbort = null;
+  }, controller.signal).catch((err) => {
+    if (err.name === 'AbortError') return;
+    entry.error = err.message;
+    refresh();
+  });
+}
+
+// The explored move and the engine's reply to it
+function drawExplorationArrows() {
+  const move = currentEntry();
+  const boardEl = document.getElementById('board');
+  if (!move || !boardEl) return;
+  const boardSize = boardEl.offsetWidth;
+
+  highlightSquare(move.uci.slice(0, 2), LABEL_COLORS.great, 0.25, boardSize);
+  highlightSquare(move.uci.slice(2, 4), LABEL_COLORS.great, 0.35, boardSize);
+
+  const best = move.alternatives[0];
+  if (best && best.uci && best.uci.length >= 4) {
+    drawArrow(best.uci.slice(0, 2), best.uci.slice(2, 4), '#1b8a2f', 0.6, boardSize,
+      { text: `Engine: ${best.move} (${best.eval})`, type: 'best' });
+  }
+}
+
+function renderExplorationPanel() {
+  const move = currentEntry();
+  let html = '<div class="coach-move-header">';
+  html += `<span class="coach-move-san">${move.moveNumber}${move.mover === 'Black' ? '...' : '.'} ${escapeHtml(move.san)}</span>`;
+  html += ' <span class="badge badge-explore">What if</span>';
+  html += '</div>';
+
+  html += '<div class="explore-line">';
+  exploration.moves.forEach((m, i) => {
+    let prefix = '';
+    if (m.mover === 'White') prefix = `${m.moveNumber}. `;
+    else if (i === 0) prefix = `${m.moveNumber}... `;
+    html += `<span class="explore-move${i === exploration.index ? ' active-move' : ''}" data-index="${i}">${prefix}${escapeHtml(m.san)}</span>`;
+  });
+  html += '</div>';
+
+  if (move.gameOver) {
+    html += `<div class="coach-best">${move.gameOver === 'checkmate' ? 'Checkmate' : 'Stalemate'}</div>`;
+  } else if (move.error) {
+    html += `<div class="coach-empty">${escapeHtml(move.error)}</div>`;
+  } else if (!move.alternatives.length) {
+    html += '<div class="coach-empty">Evaluating...</div>';
+  } else {
+    const before = move.evalBefore !== null && move.evalBefore !== undefined ? `${escapeHtml(move.evalBefore)} → ` : '';
+    html += `<div class="coach-eval">${before}${escapeHtml(move.evalAfter)} · depth ${move.depth}${move.searched ? '' : '…'}</div>`;
+    html += '<div class="coach-lines">';
+    for (const alt of move.alternatives) {
+      html += '<div class="coach-line">';
+      html += `<span class="coach-line-rank">${alt.rank}</span>`;
+      html += `<span class="coach-line-eval">${escapeHtml(alt.eval)}</span>`;
+      html += `<span class="coach-line-pv">${escapeHtml(alt.pv.join(' '))}</span>`;
+      html += '</div>';
+    }
+    html += '</div>';
+  }
+
+  html += '<button class="explore-back" id="exploreBackBtn">← Back to game</button>';
+  coachPanel.innerHTML = html;
+
+  coachPanel.querySelectorAll('.explore-move').forEach((el) => {
+    el.addEventListener('click', () => goToExploredMove(parseInt(el.dataset.index, 10)));
+  });
+  document.getElementById('exploreBackBtn').addEventListener('click', returnToGame);
+}
+
+// ── Mistake review ──
+// "Learn from your mistakes" walks through the inaccuracies, mistakes and
+// blunders of the side at the bottom of the board. Each one is set up from
+// the position before it, and any move within REVIEW_TOLERANCE of the engine's
+// best line counts. Moves outside the analysed lines are checked live through
+// /analyze-position. The coach's explanation is shown once the position is
+// solved or given up, and a scorecard ends the review.
+const REVIEW_TOLERANCE = 5; // win-chance points a move may give up against the best line
+
+function reviewItems(side) {
+  return analysisData.filter((m) => m.mover === side && isIssueLabel(m.label) &&
+    m.bestMove && m.alternatives && m.alternatives.length);
+}
+
+function startReview() {
+  if (isAnalyzing || !analysisData.length) return;
+  const side = boardFlipped ? 'Black' : 'White';
+  const items = reviewItems(side);
+  endExploration();
+  endReview();
+  if (!items.length) {
+    coachPanel.innerHTML = `<div class="coach-empty">No inaccuracies, mistakes or blunders by ${side} to review. Flip the board to review the other side.</div>`;
+    return;
+  }
+  review = { side, items, index: 0, phase: 'solve', tries: 0, tried: null, feedback: null, results: [] };
+  showReviewItem();
+}
+
+function showReviewItem() {
+  const item = review.items[review.index];
+  review.phase = 'solve';
+  review.tries = 0;
+  review.tried = null;
+  review.feedback = null;
+  currentPly = item.ply - 1;
+  currentLine = null;
+  showCurrentPosition(fenBefore(item));
+}
+
+// Leaves review mode without moving the board
+function endReview() {
+  if (reviewAbort) reviewAbort.abort();
+  reviewAbort = null;
+  review = null;
+}
+
+function stopReview() {
+  if (!review) return;
+  const item = review.items[Math.min(review.index, review.items.length - 1)];
+  endReview();
+  goToPly(item.ply);
+}
+
+// Win chance for the player who made the move, from White's win chance
+function moverWin(win, mover) {
+  return mover === 'White' ? win : 100 - win;
+}
+
+function onReviewDragStart(piece) {
+  if (review.phase !== 'solve') return false;
+  cancelAutoTooltips();
+  hideArrowTooltip();
+  return piece[0] === (review.items[review.index].mover === 'White' ? 'w' : 'b');
+}
+
+function onReviewDrop(source, target) {
+  const item = review.items[review.index];
+  const chess = new Chess(fenBefore(item));
+  let move = null;
+  try {
+    move = chess.move({ from: source, to: target, promotion: 'q' });
+  } catch (e) { /* illegal move */ }
+  if (!move) return 'snapback';
+  const uci = move.from + move.to + (move.promotion || '');
+  review.tried = { san: move.san, uci, fen: chess.fen(), eval: null, win: null };
+
+  if (uci === item.uci) {
+    rejectReviewMove(`${move.san} is the move you played. Look for something better.`);
+    return 'snapback';
+  }
+  const line = item.alternatives.find((alt) => alt.uci === uci);
+  if (chess.isCheckmate() || line) {
+    review.tried.eval = line ? line.eval : 'M0';
+    review.tried.win = line ? line.win : (item.mover === 'White' ? 100 : 0);
+    return judgeReviewMove(item) ? undefined : 'snapback';
+  }
+  checkReviewMove(item);
+}
+
+function onReviewSnapEnd() {
+  if (!review || review.phase === 'done') return;
+  const item = review.items[review.index];
+  board.position(review.phase === 'checking' ? review.tried.fen : fenBefore(item));
+}
+
+// Accepts the tried move if it keeps close enough to the engine's best line
+function judgeReviewMove(item) {
+  const best = item.alternatives[0];
+  const { san } = review.tried;
+  const loss = moverWin(best.win, item.mover) - moverWin(review.tried.win, item.mover);
+  if (loss > REVIEW_TOLERANCE) {
+    rejectReviewMove(`${san} gives up too much (${review.tried.eval}, the best line keeps ${best.eval}). Try again.`);
+    return false;
+  }
+  const text = review.tried.eval === 'M0' ? `${san} is checkmate!`
+    : review.tried.uci === best.uci ? `${san} is the engine's best move.`
+      : `${san} works too (${review.tried.eval}). The engine's best was ${best.move}.`;
+  revealReviewItem(true, text);
+  return true;
+}
+
+function rejectReviewMove(text) {
+  review.tries++;
+  review.phase = 'solve';
+  review.feedback = { type: 'wrong', text };
+  updateCoachPanel();
+  drawArrowsForPlyStatic();
+}
+
+// Searches the position after a move the analysis has no line for
+function checkReviewMove(item) {
+  const controller = new AbortController();
+  reviewAbort = controller;
+  review.phase = 'checking';
+  review.feedback = { type: 'checking', text: `Checking ${review.tried.san}...` };
+  updateCoachPanel();
+  drawArrowsForPlyStatic();
+
+  const payload = { fen: review.tried.fen, multipv: 1 };
+  const engine = analysisSummary && analysisSummary.engine;
+  if (engine && engine.depth) payload.depth = engine.depth;
+  if (analysisEngine) payload.engine = analysisEngine;
+
+  let result = null;
+  let error = null;
+  const finish = () => {
+    if (reviewAbort !== controller) return;
+    reviewAbort = null;
+    if (result !== null) {
+      review.tried.eval = result.eval;
+      review.tried.win = result.win;
+      if (!judgeReviewMove(item)) board.position(fenBefore(item), true);
+      return;
+    }
+    // A failed check is not held against the player
+    review.phase = 'solve';
+    review.feedback = { type: 'wrong', text: `Could not check ${review.tried.san}: ${error || 'no result'}` };
+    review.tried = null;
+    board.position(fenBefore(item), true);
+    updateCoachPanel();
+    drawArrowsForPlyStatic();
+  };
+
+  postEventStream('/analyze-position', payload, (event, data) => {
+    if (event === 'done') {
+      if (data.gameOver) result = { eval: '0.00', win: 50 };
+      else if (data.lines.length) result = data.lines[0];
+    } else if (event === 'error') {
+      error = data.error;
+    }
+  }, finish, controller.signal).catch((err) => {
+    if (err.name === 'AbortError') return;
+    error = err.message;
+    finish();
+  });
+}
+
+function revealReviewItem(found, text) {
+  const item = review.items[review.index];
+  if (reviewAbort) reviewAbort.abort();
+  reviewAbort = null;
+  review.results.push({
+    ply: item.ply,
+    moveNumber: item.moveNumber,
+    mover: item.mover,
+    san: item.san,
+    label: item.label,
+    bestMove: item.bestMove,
+    found,
+    move: found ? review.tried.san : null,
+    tries: review.tries
+  });
+  review.phase = 'revealed';
+  review.feedback = { type: found ? 'right' : 'missed', text };
+  showCurrentPosition(fenBefore(item));
+}
+
+function nextReviewItem() {
+  review.index++;
+  if (review.index < review.items.length) {
+    showReviewItem();
+    return;
+  }
+  review.phase = 'done';
+  review.feedback = null;
+  clearArrows();
+  updateCoachPanel();
+}
+
+// The move played and the engine's best once revealed; a wrong try in red
+function drawReviewArrows() {
+  const boardEl = document.getElementById('board');
+  if (review.phase === 'done' || !boardEl) return;
+  const boardSize = boardEl.offsetWidth;
+  const item = review.items[review.index];
+  const { tried } = review;
+
+  if (review.phase === 'checking') {
+    highlightSquare(tried.uci.slice(0, 2), LABEL_COLORS.great, 0.25, boardSize);
+    highlightSquare(tried.uci.slice(2, 4), LABEL_COLORS.great, 0.35, boardSize);
+  } else if (review.phase === 'solve') {
+    if (tried) drawArrow(tried.uci.slice(0, 2), tried.uci.slice(2, 4), LABEL_COLORS.blunder, 0.6, boardSize);
+  } else {
+    const exp = item.explanation;
+    drawArrow(item.uci.slice(0, 2), item.uci.slice(2, 4), LABEL_COLORS[item.label], 0.5, boardSize,
+      exp && exp.whyBad ? { text: exp.whyBad, type: 'played' } : null);
+    const best = sanToSquares(item);
+    if (best) {
+      drawArrow(best.from, best.to, '#1b8a2f', 0.7, boardSize,
+        exp && exp.betterMove ? { text: exp.betterMove, type: 'best' } : null);
+    }
+    if (tried && review.feedback.type === 'right' && (!best || tried.uci.slice(0, 4) !== best.from + best.to)) {
+      drawArrow(tried.uci.slice(0, 2), tried.uci.slice(2, 4), LABEL_COLORS.great, 0.7, boardSize,
+        { text: `Your move: ${tried.san}`, type: 'best' });
+    }
+  }
+}
 
-  const replay = new Chess();
-  for (let i = 0; i < ply; i++) {
-    replay.move(analysisData[i].san);
+function renderReviewPanel() {
+  const total = review.items.length;
+  let html = '<div class="review-header">';
+  html += `<span class="review-title">Learn from your mistakes · ${review.side}</span>`;
+  html += `<span class="review-progress">${Math.min(review.index + 1, total)} / ${total}</span>`;
+  html += '</div>';
+
+  if (review.phase === 'done') {
+    html += reviewScorecardHtml();
+    html += '<div class="review-actions">';
+    html += '<button class="explore-back" id="reviewAgainBtn">Review again</button>';
+    html += '<button class="explore-back" id="reviewStopBtn">← Back to game</button>';
+    html += '</div>';
+  } else {
+    const item = review.items[review.index];
+    if (review.phase !== 'revealed') {
+      html += `<div class="review-prompt">You played <strong>${item.moveNumber}${item.mover === 'Black' ? '...' : '.'} ${escapeHtml(item.san)}</strong> here (${labelName(item.label)}). Find a better move for ${item.mover}.</div>`;
+    }
+    if (review.feedback) {
+      html += `<div class="review-feedback ${review.feedback.type}">${escapeHtml(review.feedback.text)}</div>`;
+    }
+    if (review.phase === 'revealed') html += coachMoveHtml(item);
+    html += '<div class="review-actions">';
+    if (review.phase === 'revealed') {
+      html += `<button class="explore-back" id="reviewNextBtn">${review.index + 1 < total ? 'Next mistake →' : 'See results'}</button>`;
+    } else {
+      html += '<button class="explore-back" id="reviewShowBtn">Show answer</button>';
+    }
+    html += '<button class="explore-back" id="reviewStopBtn">Stop</button>';
+    html += '</div>';
   }
+  coachPanel.innerHTML = html;
 
-  board.position(replay.fen(), true);
-  // Draw arrows after piece animation finishes
-  setTimeout(drawArrowsForPly, 170);
-  updateEvalBar();
-  updateCoachPanel();
-  highlightCurrentMove();
+  const on = (id, fn) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('click', fn);
+  };
+  on('reviewShowBtn', () => {
+    const item = review.items[review.index];
+    revealReviewItem(false, `The best move was ${item.bestMove}.`);
+  });
+  on('reviewNextBtn', nextReviewItem);
+  on('reviewStopBtn', stopReview);
+  on('reviewAgainBtn', startReview);
+  coachPanel.querySelectorAll('.review-row').forEach((el) => {
+    el.addEventListener('click', () => goToPly(parseInt(el.dataset.ply, 10)));
+  });
 }
 
-function highlightCurrentMove() {
-  moveListEl.querySelectorAll('.move-cell').forEach((el) => {
-    el.classList.toggle('active-move', parseInt(el.dataset.ply, 10) === currentPly);
-  });
-  const active = moveListEl.querySelector('.active-move');
-  if (active) active.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+function reviewScorecardHtml() {
+  const { results } = review;
+  const found = results.filter((r) => r.found);
+  const firstTry = found.filter((r) => r.tries === 0).length;
+  let html = `<div class="review-score">Found ${found.length} of ${results.length}</div>`;
+  html += `<div class="review-score-detail">${firstTry} on the first try · ${found.length - firstTry} after a retry · ${results.length - found.length} shown</div>`;
+  html += '<div class="review-rows">';
+  for (const r of results) {
+    html += `<div class="review-row ${r.found ? 'found' : 'missed'}" data-ply="${r.ply}">`;
+    html += `<span class="review-row-move">${r.moveNumber}${r.mover === 'Black' ? '...' : '.'} ${escapeHtml(r.san)}</span>`;
+    html += `<span class="badge badge-${r.label}">${labelName(r.label)}</span>`;
+    html += `<span class="review-row-result">${r.found ? `✓ ${escapeHtml(r.move)}` : `✗ ${escapeHtml(r.bestMove)}`}</span>`;
+    html += '</div>';
+  }
+  html += '</div>';
+  return html;
 }
 
+reviewBtn.addEventListener('click', startReview);
 
 // ── Helpers ──
 function escapeHtml(str) {
@@ -821,11 +1868,18 @@ function escapeHtml(str) {
   return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+const bookIcon = '<svg viewBox="0 0 24 24" width="10" height="10"><path fill="currentColor" d="M18 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zM6 4h5v8l-2.5-1.5L6 12V4z"/></svg>';
+
 function labelIcon(label) {
   if (!label) return '';
   const icons = {
+    brilliant: '<span class="move-icon brilliant">!!</span>',
+    great: '<span class="move-icon great">!</span>',
+    only: '<span class="move-icon only">□</span>',
+    book: `<span class="move-icon book">${bookIcon}</span>`,
     blunder: '<span class="move-icon blunder">??</span>',
     mistake: '<span class="move-icon mistake">?</span>',
+    miss: '<span class="move-icon miss">×</span>',
     inaccuracy: '<span class="move-icon inaccuracy">?!</span>',
     good: '<span class="move-icon good">!</span>'
   };
@@ -834,16 +1888,37 @@ function labelIcon(label) {
 
 function labelClass(label) {
   if (!label) return '';
-  const classes = { blunder: 'move-blunder', mistake: 'move-mistake', inaccuracy: 'move-inaccuracy' };
+  const classes = {
+    brilliant: 'move-brilliant',
+    great: 'move-great',
+    only: 'move-only',
+    book: 'move-book',
+    blunder: 'move-blunder',
+    mistake: 'move-mistake',
+    miss: 'move-miss',
+    inaccuracy: 'move-inaccuracy'
+  };
   return classes[label] || '';
 }
 
+function labelName(label) {
+  return label === 'only' ? 'only move' : label;
+}
+
 // ── Render move list ──
+// Side-line moves by the id used in their data-var attribute, and for each
+// side line the move it branches from ({ line: null } for the mainline).
+// Both are rebuilt on every render.
+let variationRefs = [];
+let variationParents = new Map();
+
 function renderMoveList() {
+  variationRefs = [];
+  variationParents = new Map();
   let html = '';
   const filtered = analysisData.filter((m) => {
     if (moveFilter === 'all') return true;
-    return m.label === 'blunder' || m.label === 'mistake' || m.label === 'inaccuracy';
+    return isIssueLabel(m.label);
   });
 
   // Group by move number
@@ -854,17 +1929,37 @@ function renderMoveList() {
     else groups[m.moveNumber].black = m;
   }
 
+  let lastPhase = null;
   for (const num of Object.keys(groups).sort((a, b) => a - b)) {
     const g = groups[num];
+    // Separator before the row where a new game phase begins
+    const rowPhase = [g.white, g.black].map((m) => m && m.phase).filter(Boolean).pop();
+    if (rowPhase && rowPhase !== lastPhase) {
+      if (lastPhase || rowPhase !== 'opening') {
+        html += `<div class="phase-sep">${PHASE_NAMES[rowPhase] || rowPhase}</div>`;
+      }
+      lastPhase = rowPhase;
+    }
     html += `<div class="move-row">`;
     html += `<span class="move-num">${num}.</span>`;
     html += moveCell(g.white);
     html += moveCell(g.black);
     html += `</div>`;
+    if (moveFilter === 'all') {
+      html += variationsHtml(g.white, null, analysisData.indexOf(g.white));
+      html += variationsHtml(g.black, null, analysisData.indexOf(g.black));
+    }
   }
 
   moveListEl.innerHTML = html;
 
+  moveListEl.querySelectorAll('.var-move[data-var]').forEach((el) => {
+    el.addEventListener('click', () => {
+      const ref = variationRefs[parseInt(el.dataset.var, 10)];
+      if (ref) goToVariation(ref.line, ref.index);
+    });
+  });
+
   // Attach click handlers
   moveListEl.querySelectorAll('.move-cell[data-ply]').forEach((el) => {
     el.addEventListener('click', () => {
@@ -880,34 +1975,72 @@ function moveCell(move) {
   if (!move) return '<span class="move-cell empty"></span>';
   const cls = labelClass(move.label);
   const icon = labelIcon(move.label);
-  const active = move.ply === currentPly ? ' active-move' : '';
+  const active = !currentLine && move.ply === currentPly ? ' active-move' : '';
   return `<span class="move-cell ${cls}${active}" data-ply="${move.ply}">${escapeHtml(move.san)}${icon}</span>`;
 }
 
+// Side lines hanging off `move` (at `index` on `line`, null = mainline),
+// rendered inline with nested variations indented beneath the move they replace
+function variationsHtml(move, line, index) {
+  if (!move || !move.variations || !move.variations.length) return '';
+  let html = '';
+  for (const variation of move.variations) {
+    variationParents.set(variation, { line, index });
+    html += '<div class="move-variation">';
+    let needNumber = true;
+    variation.forEach((varMove, varIndex) => {
+      const id = variationRefs.push({ line: variation, index: varIndex }) - 1;
+      let num = '';
+      if (varMove.mover === 'White') num = `${varMove.moveNumber}. `;
+      else if (needNumber) num = `${varMove.moveNumber}... `;
+      const cls = labelClass(varMove.label);
+      html += `<span class="var-move ${cls}" data-var="${id}">${num}${escapeHtml(varMove.san)}${labelIcon(varMove.label)}</span> `;
+      const nested = variationsHtml(varMove, variation, varIndex);
+      html += nested;
+      needNumber = nested !== '';
+    });
+    html += '</div>';
+  }
+  return html;
+}
+
 // ── Render summary ──
 function renderSummary() {
-  const white = { blunders: 0, mistakes: 0, inaccuracies: 0, total: 0 };
-  const black = { blunders: 0, mistakes: 0, inaccuracies: 0, total: 0 };
+  const white = { blunders: 0, mistakes: 0, misses: 0, inaccuracies: 0 };
+  const black = { blunders: 0, mistakes: 0, misses: 0, inaccuracies: 0 };
 
   for (const m of analysisData) {
     const side = m.mover === 'White' ? white : black;
-    side.total++;
     if (m.label === 'blunder') side.blunders++;
     else if (m.label === 'mistake') side.mistakes++;
+    else if (m.label === 'miss') side.misses++;
     else if (m.label === 'inaccuracy') side.inaccuracies++;
   }
 
+  // Accuracy and ACPL come from the server's win-probability scoring
+  const server = analysisSummary || {};
+
   function accuracy(s) {
-    if (!s.total) return '—';
-    const issues = s.blunders * 3 + s.mistakes * 2 + s.inaccuracies;
-    const maxPenalty = s.total * 3;
-    return Math.max(0, Math.round(((maxPenalty - issues) / maxPenalty) * 100)) + '%';
+    if (!s || s.accuracy === null || s.accuracy === undefined) return '—';
+    return s.accuracy.toFixed(1) + '%';
+  }
+
+  function acpl(s) {
+    if (!s || s.acpl === null || s.acpl === undefined) return '';
+    return `<span class="sum-acpl" title="Average centipawn loss">${s.acpl} ACPL</span>`;
+  }
+
+  // Clock stats only exist for PGNs with [%clk] comments
+  function timeBadges(s) {
+    if (!s || !s.timeTroubleErrors) return '';
+    return `<span class="badge badge-time" title="Errors made in time trouble">⏱ ${s.timeTroubleErrors}</span>`;
   }
 
   function badges(s) {
     let h = '';
     if (s.blunders) h += `<span class="badge badge-blunder">${s.blunders}</span>`;
     if (s.mistakes) h += `<span class="badge badge-mistake">${s.mistakes}</span>`;
+    if (s.misses) h += `<span class="badge badge-miss">${s.misses}</span>`;
     if (s.inaccuracies) h += `<span class="badge badge-inaccuracy">${s.inaccuracies}</span>`;
     return h;
   }
@@ -915,40 +2048,91 @@ function renderSummary() {
   summaryPanel.innerHTML = `
     <div class="sum-side">
       <span class="sum-label">White</span>
-      <span class="sum-acc">${accuracy(white)}</span>
-      <span class="sum-badges">${badges(white)}</span>
+      <span class="sum-acc">${accuracy(server.white)}</span>
+      ${acpl(server.white)}
+      <span class="sum-badges">${badges(white)}${timeBadges(server.white)}</span>
     </div>
     <div class="sum-side">
       <span class="sum-label">Black</span>
-      <span class="sum-acc">${accuracy(black)}</span>
-      <span class="sum-badges">${badges(black)}</span>
+      <span class="sum-acc">${accuracy(server.black)}</span>
+      ${acpl(server.black)}
+      <span class="sum-badges">${badges(black)}${timeBadges(server.black)}</span>
     </div>
+    ${phaseBreakdown(server.phases)}
+    ${server.engine ? `<div class="sum-engine" title="${escapeHtml(server.engine.id || '')}">${escapeHtml(server.engine.label)} · depth ${server.engine.depth}</div>` : ''}
   `;
+  renderCriticalMoments(server.criticalMoments);
+
+  // Accuracy and errors per side for each phase the game reached
+  function phaseBreakdown(phases) {
+    if (!phases) return '';
+    const names = Object.keys(phases);
+    if (names.length < 2) return '';
+    let h = '<div class="sum-phases">';
+    for (const name of names) {
+      const p = phases[name];
+      h += '<div class="sum-phase">';
+      h += `<span class="sum-phase-name">${escapeHtml(PHASE_NAMES[name] || name)}</span>`;
+      for (const s of [p.white, p.black]) {
+        h += `<span class="sum-phase-side">${s.moves ? `<span class="sum-phase-acc">${accuracy(s)}</span>${badges(s)}` : '—'}</span>`;
+      }
+      h += '</div>';
+    }
+    return h + '</div>';
+  }
+}
+
+const PHASE_NAMES = { opening: 'Opening', middlegame: 'Middlegame', endgame: 'Endgame' };
+
+// ── Critical moments ──
+// Ranked cards for the moves that decided the game; clicking one jumps there
+function renderCriticalMoments(moments) {
+  if (!moments || !moments.length) {
+    criticalMomentsEl.innerHTML = '';
+    return;
+  }
+  let html = '<div class="moments-title">Critical moments</div><div class="moments-row">';
+  for (const m of moments) {
+    html += `<button class="moment-card moment-${m.type}" data-ply="${m.ply}" title="Best was ${escapeHtml(m.bestMove)}">`;
+    html += `<span class="moment-head"><span class="moment-rank">#${m.rank}</span>${m.moveNumber}${m.mover === 'Black' ? '...' : '.'} ${escapeHtml(m.san)}</span>`;
+    html += `<span class="moment-type">${momentTitle(m)}</span>`;
+    html += `<span class="moment-swing">${m.winBefore}% → ${m.winAfter}%</span>`;
+    html += '</button>';
+  }
+  html += '</div>';
+  criticalMomentsEl.innerHTML = html;
+
+  criticalMomentsEl.querySelectorAll('.moment-card').forEach((el) => {
+    el.addEventListener('click', () => goToPly(parseInt(el.dataset.ply, 10)));
+  });
+}
+
+function momentTitle(m) {
+  if (m.type === 'missed-mate') return `Missed mate in ${m.mateIn}`;
+  if (m.type === 'thrown-away') return 'Threw away a win';
+  return 'Turning point';
 }
 
 // ── Eval bar ──
 function updateEvalBar() {
-  if (currentPly === 0) {
+  // At ply 0 show the starting position's eval (matters for set-up games)
+  const entry = currentEntry();
+  const first = analysisData[0];
+  if (!entry && (!first || first.evalBefore === null || first.evalBefore === undefined)) {
     evalFill.style.height = '50%';
     evalLabel.textContent = '0.00';
     return;
   }
 
-  const move = analysisData[currentPly - 1];
+  const move = entry || first;
   if (!move || move.evalAfter === null) {
     evalFill.style.height = '50%';
     evalLabel.textContent = '—';
     return;
   }
 
-  const evalStr = move.evalAfter;
-  let cp;
-  if (typeof evalStr === 'string' && evalStr.startsWith('M')) {
-    const mateVal = parseInt(evalStr.slice(1), 10);
-    cp = mateVal > 0 ? 10000 : -10000;
-  } else {
-    cp = parseFloat(evalStr) * 100;
-  }
+  const evalStr = entry ? move.evalAfter : move.evalBefore;
+  const cp = evalToCp(evalStr, move.mover);
 
   // Sigmoid mapping: 50% at 0cp, ~95% at +400cp
   const pct = 50 + 50 * (2 / (1 + Math.exp(-cp / 200)) - 1);
@@ -962,19 +2146,237 @@ function updateEvalBar() {
   }
 }
 
+// White-relative centipawns for an eval string; mates count as ±10000.
+// M0 is a finished mate: `mover`, the side that just moved, delivered it
+function evalToCp(evalStr, mover) {
+  if (typeof evalStr === 'string' && evalStr.startsWith('M')) {
+    const mateVal = parseInt(evalStr.slice(1), 10);
+    const whiteWins = mateVal === 0 ? mover === 'White' : mateVal > 0;
+    return whiteWins ? 10000 : -10000;
+  }
+  return parseFloat(evalStr) * 100;
+}
+
+// ── Time usage chart ──
+// One row per ply, top to bottom: White's time spent grows left of the
+// centre line, Black's to the right. Errors in time trouble and long thinks
+// on easy moves are coloured.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function renderTimeChart() {
+  const timed = analysisData.filter((m) => m.timeSpent !== null && m.timeSpent !== undefined);
+  if (!timed.length) {
+    timeCol.style.display = 'none';
+    return;
+  }
+  timeCol.style.display = '';
+
+  const rows = analysisData.length;
+  const width = 48;
+  const rowHeight = 10;
+  const half = width / 2;
+  const maxSpent = Math.max(...timed.map((m) => m.timeSpent), 1);
+  timeChart.setAttribute('viewBox', `0 0 ${width} ${rows * rowHeight}`);
+  while (timeChart.firstChild) timeChart.removeChild(timeChart.firstChild);
+
+  if (currentPly > 0) {
+    const marker = document.createElementNS(SVG_NS, 'rect');
+    marker.setAttribute('class', 'time-marker');
+    marker.setAttribute('x', 0);
+    marker.setAttribute('y', (currentPly - 1) * rowHeight);
+    marker.setAttribute('width', width);
+    marker.setAttribute('height', rowHeight);
+    timeChart.appendChild(marker);
+  }
+
+  analysisData.forEach((m, i) => {
+    if (m.timeSpent === null || m.timeSpent === undefined) return;
+    const flags = m.timeFlags || [];
+    let cls = m.mover === 'White' ? 'time-bar-white' : 'time-bar-black';
+    if (flags.includes('time-trouble')) cls = 'time-bar-trouble';
+    else if (flags.includes('long-think')) cls = 'time-bar-long';
+
+    const length = Math.max(1, (m.timeSpent / maxSpent) * (half - 2));
+    const bar = document.createElementNS(SVG_NS, 'rect');
+    bar.setAttribute('class', cls);
+    bar.setAttribute('x', m.mover === 'White' ? half - length : half);
+    bar.setAttribute('y', i * rowHeight + 1);
+    bar.setAttribute('width', length);
+    bar.setAttribute('height', rowHeight - 2);
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${m.moveNumber}${m.mover === 'Black' ? '...' : '.'} ${m.san} — ${formatSeconds(m.timeSpent)} (${formatClock(m.clock)} left)`;
+    bar.appendChild(title);
+    timeChart.appendChild(bar);
+  });
+
+  const axis = document.createElementNS(SVG_NS, 'line');
+  axis.setAttribute('class', 'time-axis');
+  axis.setAttribute('x1', half);
+  axis.setAttribute('x2', half);
+  axis.setAttribute('y1', 0);
+  axis.setAttribute('y2', rows * rowHeight);
+  timeChart.appendChild(axis);
+
+  const move = currentEntry();
+  timeLabel.textContent = move && !currentLine && move.timeSpent !== null && move.timeSpent !== undefined
+    ? formatSeconds(move.timeSpent)
+    : '';
+}
+
+timeChart.addEventListener('click', (e) => {
+  if (!analysisData.length) return;
+  const rect = timeChart.getBoundingClientRect();
+  const row = Math.floor(((e.clientY - rect.top) / rect.height) * analysisData.length);
+  goToPly(Math.max(0, Math.min(analysisData.length - 1, row)) + 1);
+});
+
+function formatSeconds(seconds) {
+  return seconds >= 60 ? formatClock(seconds) : `${Math.round(seconds)}s`;
+}
+
+function formatClock(seconds) {
+  if (seconds === null || seconds === undefined) return '—';
+  const whole = Math.max(0, Math.round(seconds));
+  const h = Math.floor(whole / 3600);
+  const m = Math.floor((whole % 3600) / 60);
+  const sec = String(whole % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// ── Eval graph ──
+// White's win chance across the game, left to right, filling in as 'move'
+// events arrive. Mates pin the curve to the edge; blunders, mistakes and
+// misses get a dot. Click or drag along it to jump to a ply.
+const GRAPH_HEIGHT = 80;
+const GRAPH_PAD = 4;
+const GRAPH_DOT_LABELS = ['blunder', 'mistake', 'miss'];
+
+// Point i is the position after i plies; null where no eval has arrived yet.
+// The win chances are the server's, the ones its accuracy scores use.
+function evalGraphPoints() {
+  const points = [];
+  const first = analysisData[0];
+  points.push(first && hasWin(first.winBefore) ? first.winBefore : null);
+  for (const m of analysisData) {
+    points.push(hasWin(m.winAfter) ? m.winAfter : null);
+  }
+  return points;
+}
+
+function hasWin(win) {
+  return typeof win === 'number';
+}
+
+function graphX(ply, width) {
+  return GRAPH_PAD + (ply / Math.max(1, analysisData.length)) * (width - GRAPH_PAD * 2);
+}
+
+function graphY(win) {
+  return GRAPH_PAD + (1 - win / 100) * (GRAPH_HEIGHT - GRAPH_PAD * 2);
+}
+
+function renderEvalGraph() {
+  const points = evalGraphPoints();
+  if (!points.some((p) => p !== null)) {
+    evalGraph.style.display = 'none';
+    return;
+  }
+  evalGraph.style.display = '';
+
+  const width = evalGraph.clientWidth || 520;
+  evalGraph.setAttribute('viewBox', `0 0 ${width} ${GRAPH_HEIGHT}`);
+  while (evalGraph.firstChild) evalGraph.removeChild(evalGraph.firstChild);
+
+  const svgEl = (tag, attrs) => {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+    evalGraph.appendChild(el);
+    return el;
+  };
+
+  // Contiguous runs of known evals; a gap waits for its 'move' event
+  const runs = [];
+  let run = null;
+  points.forEach((win, ply) => {
+    if (win === null) {
+      run = null;
+      return;
+    }
+    if (!run) runs.push(run = []);
+    run.push([graphX(ply, width), graphY(win)]);
+  });
+
+  const bottom = GRAPH_HEIGHT - GRAPH_PAD;
+  for (const r of runs) {
+    const line = r.map(([x, y]) => `${x},${y}`).join(' L');
+    svgEl('path', { class: 'graph-area', d: `M${r[0][0]},${bottom} L${line} L${r[r.length - 1][0]},${bottom} Z` });
+    svgEl('path', { class: 'graph-line', d: `M${line}` });
+  }
+
+  const mid = graphY(50);
+  svgEl('line', { class: 'graph-axis', x1: GRAPH_PAD, x2: width - GRAPH_PAD, y1: mid, y2: mid });
+
+  const markerX = graphX(currentPly, width);
+  svgEl('line', { class: 'graph-marker', x1: markerX, x2: markerX, y1: GRAPH_PAD, y2: bottom });
+
+  analysisData.forEach((m, i) => {
+    const win = points[i + 1];
+    if (win === null || !GRAPH_DOT_LABELS.includes(m.label)) return;
+    const dot = svgEl('circle', { class: 'graph-dot', cx: graphX(i + 1, width), cy: graphY(win), r: 3.5, fill: LABEL_COLORS[m.label] });
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${m.moveNumber}${m.mover === 'Black' ? '...' : '.'} ${m.san} — ${labelName(m.label)} (${m.evalAfter})`;
+    dot.appendChild(title);
+  });
+}
+
+// Nearest ply to a pointer position on the graph
+function graphPlyAt(clientX) {
+  const rect = evalGraph.getBoundingClientRect();
+  const frac = (clientX - rect.left - GRAPH_PAD) / Math.max(1, rect.width - GRAPH_PAD * 2);
+  return Math.max(0, Math.min(analysisData.length, Math.round(frac * analysisData.length)));
+}
+
+let graphScrubbing = false;
+
+function scrubEvalGraph(e) {
+  if (!analysisData.length) return;
+  const ply = graphPlyAt(e.clientX);
+  if (ply !== currentPly || currentLine || exploration) goToPly(ply);
+}
+
+evalGraph.addEventListener('mousedown', (e) => {
+  graphScrubbing = true;
+  e.preventDefault();
+  scrubEvalGraph(e);
+});
+evalGraph.addEventListener('mousemove', (e) => {
+  if (graphScrubbing) scrubEvalGraph(e);
+});
+window.addEventListener('mouseup', () => { graphScrubbing = false; });
+window.addEventListener('resize', () => {
+  if (analysisData.length) renderEvalGraph();
+});
+
 // ── Coach panel ──
 function updateCoachPanel() {
-  if (currentPly === 0) {
-    coachPanel.innerHTML = '<div class="coach-empty">Click a move for coaching</div>';
+  if (exploration) {
+    renderExplorationPanel();
     return;
   }
-
-  const move = analysisData[currentPly - 1];
+  if (review) {
+    renderReviewPanel();
+    return;
+  }
+  const move = currentEntry();
   if (!move) {
     coachPanel.innerHTML = '<div class="coach-empty">Click a move for coaching</div>';
     return;
   }
+  coachPanel.innerHTML = coachMoveHtml(move);
+}
 
+// Header, evals, tags, engine lines and coaching for one analysed move
+function coachMoveHtml(move) {
   const exp = move.explanation;
   const hasCoaching = exp && exp.summary;
 
@@ -982,18 +2384,55 @@ function updateCoachPanel() {
   html += `<span class="coach-move-san">${move.moveNumber}${move.mover === 'Black' ? '...' : '.'} ${escapeHtml(move.san)}</span>`;
   if (move.label) {
     const badgeClass = 'badge-' + move.label;
-    html += ` <span class="badge ${badgeClass}">${move.label}</span>`;
+    html += ` <span class="badge ${badgeClass}">${labelName(move.label)}</span>`;
   }
   html += '</div>';
 
+  if (currentLine) {
+    html += '<div class="coach-variation">Side line</div>';
+  }
+  if (move.comments && move.comments.length) {
+    html += `<div class="coach-comment">${escapeHtml(move.comments.join(' '))}</div>`;
+  }
+
   if (move.evalBefore !== null && move.evalAfter !== null) {
     html += `<div class="coach-eval">${escapeHtml(move.evalBefore)} → ${escapeHtml(move.evalAfter)} (${move.deltaCp > 0 ? '+' : ''}${move.deltaCp}cp)</div>`;
   }
 
+  if (move.clock !== null && move.clock !== undefined) {
+    const flags = move.timeFlags || [];
+    html += '<div class="coach-clock">';
+    html += `${formatClock(move.clock)} left`;
+    if (move.timeSpent !== null && move.timeSpent !== undefined) html += ` · ${formatSeconds(move.timeSpent)} spent`;
+    if (flags.includes('time-trouble')) html += '<span class="time-flag trouble">time trouble</span>';
+    if (flags.includes('long-think')) html += '<span class="time-flag long">long think on an easy move</span>';
+    html += '</div>';
+  }
+
+  if (move.tablebase) {
+    html += `<div class="coach-tablebase${move.tablebase.drop > 0 ? ' lost' : ''}">${tablebaseText(move.tablebase)}</div>`;
+  }
+
+  if (move.threat && move.threat.ignored) {
+    html += `<div class="coach-threat">Ignored the threat ${escapeHtml(move.threat.move)}${move.threat.mateIn ? ` (mate in ${move.threat.mateIn})` : ''}</div>`;
+  }
+
+  // Tactics the engine's lines actually play: what the move allowed and what it missed
+  if (move.motifs && move.motifs.length) {
+    html += '<div class="coach-motifs">';
+    for (const motif of move.motifs) {
+      const verb = motif.line === 'best' ? 'Missed' : 'Allowed';
+      html += `<span class="motif-tag ${motif.line}" title="${escapeHtml(motif.text)}">${verb} ${MOTIF_NAMES[motif.type] || escapeHtml(motif.type)}</span>`;
+    }
+    html += '</div>';
+  }
+
   if (move.bestMove) {
     html += `<div class="coach-best">Best: <strong>${escapeHtml(move.bestMove)}</strong></div>`;
   }
-  if (move.pv && move.pv.length) {
+  if (move.alternatives && move.alternatives.length > 1) {
+    html += renderAlternatives(move);
+  } else if (move.pv && move.pv.length) {
     const pvStr = Array.isArray(move.pv) ? move.pv.join(' ') : move.pv;
     html += `<div class="coach-pv">${escapeHtml(pvStr)}</div>`;
   }
@@ -1006,13 +2445,58 @@ function updateCoachPanel() {
       html += '<div class="coach-arrow-hint">Hover the arrows on the board for details</div>';
     }
     html += '</div>';
-  } else if (isAnalyzing && (move.label === 'blunder' || move.label === 'mistake' || move.label === 'inaccuracy')) {
+  } else if (isAnalyzing && isIssueLabel(move.label)) {
     html += '<div class="coach-empty">Coaching loading...</div>';
-  } else if (!move.label || move.label === 'ok' || move.label === 'good') {
+  } else if (!isIssueLabel(move.label)) {
     html += '<div class="coach-empty">No issues with this move</div>';
   }
+  return html;
+}
 
-  coachPanel.innerHTML = html;
+const TB_NAMES = { win: 'win', 'cursed-win': 'cursed win', draw: 'draw', 'blessed-loss': 'blessed loss', loss: 'loss' };
+
+// Outcomes are for the player who moved. DTZ counts plies to the next capture
+// or pawn move, not to mate, and only means something in a won or lost position
+function tablebaseText(tb) {
+  if (tb.before !== tb.after) return `Tablebase: ${TB_NAMES[tb.before]} → ${TB_NAMES[tb.after]}`;
+  const distance = tb.dtz && tb.after !== 'draw' ? ` (DTZ ${tb.dtz})` : '';
+  return `Tablebase: ${TB_NAMES[tb.after]}${distance}`;
+}
+
+const MOTIF_NAMES = {
+  hanging: 'hanging piece',
+  fork: 'fork',
+  pin: 'pin',
+  skewer: 'skewer',
+  'discovered-attack': 'discovered attack',
+  'back-rank': 'back-rank weakness',
+  'mate-threat': 'mate threat'
+};
+
+function renderAlternatives(move) {
+  let html = '<div class="coach-lines">';
+  for (const alt of move.alternatives) {
+    const played = alt.rank === move.playedRank ? ' played' : '';
+    html += `<div class="coach-line${played}">`;
+    html += `<span class="coach-line-rank">${alt.rank}</span>`;
+    html += `<span class="coach-line-eval">${escapeHtml(alt.eval)}</span>`;
+    html += `<span class="coach-line-pv">${escapeHtml(alt.pv.join(' '))}</span>`;
+    html += '</div>';
+  }
+  html += '</div>';
+
+  const rankText = move.playedRank
+    ? `${escapeHtml(move.san)} was the engine's ${ordinal(move.playedRank)} choice`
+    : `${escapeHtml(move.san)} was not in the engine's top ${move.alternatives.length}`;
+  html += `<div class="coach-rank">${rankText}</div>`;
+  return html;
+}
+
+function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const mod100 = n % 100;
+  const suffix = (mod100 >= 11 && mod100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+  return n + suffix;
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1036,6 +2520,8 @@ document.querySelectorAll('.input-tab').forEach((tab) => {
     document.getElementById('analyzeTab').style.display = target === 'analyze' ? '' : 'none';
     document.getElementById('scoutTab').style.display = target === 'scout' ? '' : 'none';
     document.getElementById('trainTab').style.display = target === 'train' ? '' : 'none';
+    document.getElementById('puzzlesTab').style.display = target === 'puzzles' ? '' : 'none';
+    if (target === 'puzzles') renderPuzzleTab();
     statusEl.textContent = '';
   });
 });
@@ -1869,11 +3355,14 @@ function clearDemoTimer() {
 // ── Training board arrow overlay ──
 let trainArrowSvg = null;
 let trainBoardFlipped = false;
+let trainOverlayBoardId = 'trainBoard'; // the trainer's board, or the puzzle board
 
-function initTrainArrowOverlay() {
+// Shared by the opening trainer and the puzzles view; only one is ever shown
+function initTrainArrowOverlay(boardId = 'trainBoard', flipped = trainRepertoire && trainRepertoire.color === 'black') {
   const old = document.getElementById('trainArrowOverlay');
   if (old) old.remove();
-  const boardEl = document.getElementById('trainBoard');
+  trainOverlayBoardId = boardId;
+  const boardEl = document.getElementById(boardId);
   if (!boardEl) return;
   boardEl.style.position = 'relative';
   const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -1881,7 +3370,7 @@ function initTrainArrowOverlay() {
   svg.setAttribute('class', 'arrow-overlay');
   boardEl.appendChild(svg);
   trainArrowSvg = svg;
-  trainBoardFlipped = trainRepertoire && trainRepertoire.color === 'black';
+  trainBoardFlipped = Boolean(flipped);
 }
 
 function trainSquareToPixel(sq, boardSize) {
@@ -1896,7 +3385,7 @@ function trainSquareToPixel(sq, boardSize) {
 
 function drawTrainArrow(fromSq, toSq, color, opacity) {
   if (!trainArrowSvg || !fromSq || !toSq || fromSq === toSq) return;
-  const boardEl = document.getElementById('trainBoard');
+  const boardEl = document.getElementById(trainOverlayBoardId);
   if (!boardEl) return;
   const boardSize = boardEl.offsetWidth;
   const from = trainSquareToPixel(fromSq, boardSize);
@@ -1938,7 +3427,7 @@ function drawTrainArrow(fromSq, toSq, color, opacity) {
 
 function highlightTrainSquare(sq, color, opacity) {
   if (!trainArrowSvg || !sq) return;
-  const boardEl = document.getElementById('trainBoard');
+  const boardEl = document.getElementById(trainOverlayBoardId);
   if (!boardEl) return;
   const boardSize = boardEl.offsetWidth;
   const sqSize = boardSize / 8;
@@ -1966,20 +3455,21 @@ function clearTrainArrows() {
 let trainTooltipEl = null;
 
 function ensureTrainTooltip() {
-  if (trainTooltipEl) return trainTooltipEl;
-  const el = document.createElement('div');
-  el.id = 'trainBoardTooltip';
-  el.className = 'arrow-tooltip arrow-tooltip-best';
-  el.style.display = 'none';
-  const boardEl = document.getElementById('trainBoard');
-  if (boardEl) boardEl.appendChild(el);
-  trainTooltipEl = el;
-  return el;
+  if (!trainTooltipEl) {
+    trainTooltipEl = document.createElement('div');
+    trainTooltipEl.id = 'trainBoardTooltip';
+    trainTooltipEl.className = 'arrow-tooltip arrow-tooltip-best';
+    trainTooltipEl.style.display = 'none';
+  }
+  // Follow the overlay onto whichever board is in use (and onto rebuilt boards)
+  const boardEl = document.getElementById(trainOverlayBoardId);
+  if (boardEl && trainTooltipEl.parentNode !== boardEl) boardEl.appendChild(trainTooltipEl);
+  return trainTooltipEl;
 }
 
 function showTrainTooltip(text, targetSq) {
   const tip = ensureTrainTooltip();
-  const boardEl = document.getElementById('trainBoard');
+  const boardEl = document.getElementById(trainOverlayBoardId);
   if (!boardEl || !text) { hideTrainTooltip(); return; }
   tip.textContent = text;
   tip.style.display = 'block';
@@ -2416,3 +3906,243 @@ function trainOpening(openingName, color) {
     launchTrainer(match.name, match.pgn);
   }
 }
+
+// ── Puzzles ──
+// Every analysis returns the mistakes that had a clear, unique best line as
+// summary.puzzles. They are kept in localStorage so they outlive the review,
+// and solved on a board that reuses the trainer's overlay: the solver's moves
+// are checked against the engine line and the replies are played for them.
+const PUZZLE_STORE_KEY = 'chessimus-puzzles';
+
+let puzzleBoard = null;
+let puzzleQueue = [];      // puzzle ids for this session, in solving order
+let puzzleCurrent = null;
+let puzzleChess = null;
+let puzzleStep = 0;        // index into puzzleCurrent.solution
+let puzzleHints = 0;       // 1 = piece highlighted, 2 = move shown
+let puzzleHelped = false;  // a wrong move or a hint on this attempt
+let puzzleTimer = null;
+
+function loadStoredPuzzles() {
+  try {
+    return JSON.parse(localStorage.getItem(PUZZLE_STORE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveStoredPuzzles(puzzles) {
+  try {
+    localStorage.setItem(PUZZLE_STORE_KEY, JSON.stringify(puzzles));
+  } catch (e) { /* storage full or disabled */ }
+}
+
+// A resumed job replays its events, so puzzles already stored are skipped
+function storePuzzles(puzzles) {
+  if (!puzzles || !puzzles.length) return;
+  const stored = loadStoredPuzzles();
+  const known = new Set(stored.map((p) => p.id));
+  for (const p of puzzles) {
+    if (!known.has(p.id)) stored.push({ ...p, solved: false, attempts: 0 });
+  }
+  saveStoredPuzzles(stored);
+  renderPuzzleTab();
+}
+
+function updateStoredPuzzle(id, update) {
+  const stored = loadStoredPuzzles();
+  const puzzle = stored.find((p) => p.id === id);
+  if (!puzzle) return;
+  update(puzzle);
+  saveStoredPuzzles(stored);
+}
+
+function puzzleTheme(p) {
+  if (p.mateIn) return `Mate in ${p.mateIn}`;
+  const name = p.motif ? MOTIF_NAMES[p.motif] : 'best move';
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function puzzleSource(p) {
+  const players = p.game && (p.game.white || p.game.black)
+    ? `${p.game.white || '?'} vs ${p.game.black || '?'}`
+    : 'Analyzed game';
+  return `${players}, move ${p.moveNumber} — ${p.played} was played`;
+}
+
+function renderPuzzleTab() {
+  const puzzles = loadStoredPuzzles();
+  const solved = puzzles.filter((p) => p.solved).length;
+  document.getElementById('puzzleStats').textContent = puzzles.length
+    ? `${puzzles.length} puzzles from your games · ${solved} solved`
+    : 'Analyze a game: mistakes with one clear best move become puzzles here.';
+  document.getElementById('startPuzzlesBtn').disabled = !puzzles.length;
+
+  const listEl = document.getElementById('puzzleList');
+  let html = '';
+  for (const p of puzzles.slice().reverse()) {
+    html += `<button class="puzzle-row${p.solved ? ' solved' : ''}" data-id="${escapeHtml(p.id)}">`;
+    html += `<span class="puzzle-row-title">${escapeHtml(p.side)} to move · ${escapeHtml(puzzleTheme(p))}</span>`;
+    html += `<span class="puzzle-row-source">${escapeHtml(puzzleSource(p))}</span>`;
+    html += p.solved ? '<span class="puzzle-row-done">✓</span>' : '';
+    html += '</button>';
+  }
+  listEl.innerHTML = html;
+  listEl.querySelectorAll('.puzzle-row').forEach((el) => {
+    el.addEventListener('click', () => openPuzzles(el.dataset.id));
+  });
+}
+
+// Unsolved puzzles first, newest first; `firstId` jumps the queue
+function openPuzzles(firstId) {
+  const ordered = loadStoredPuzzles().reverse().sort((a, b) => Number(a.solved) - Number(b.solved));
+  if (!ordered.length) return;
+  puzzleQueue = ordered.map((p) => p.id);
+  if (firstId) puzzleQueue = [firstId, ...puzzleQueue.filter((id) => id !== firstId)];
+
+  inputPanel.style.display = 'none';
+  document.getElementById('puzzleSection').style.display = '';
+  showPuzzle(puzzleQueue[0]);
+}
+
+function showPuzzle(id) {
+  clearTimeout(puzzleTimer);
+  const puzzle = loadStoredPuzzles().find((p) => p.id === id);
+  if (!puzzle) return;
+  puzzleCurrent = puzzle;
+  puzzleChess = new Chess(puzzle.fen);
+  puzzleStep = 0;
+  puzzleHints = 0;
+  puzzleHelped = false;
+
+  const orientation = puzzle.side === 'Black' ? 'black' : 'white';
+  if (puzzleBoard) puzzleBoard.destroy();
+  puzzleBoard = Chessboard('puzzleBoard', {
+    position: puzzle.fen,
+    orientation,
+    pieceTheme: '/img/pieces/{piece}.png',
+    draggable: true,
+    onDragStart: onPuzzleDragStart,
+    onDrop: onPuzzleDrop,
+    onSnapEnd: onPuzzleSnapEnd
+  });
+  initTrainArrowOverlay('puzzleBoard', orientation === 'black');
+  hideTrainTooltip();
+
+  document.getElementById('puzzleCounter').textContent = `Puzzle ${puzzleQueue.indexOf(id) + 1} of ${puzzleQueue.length}`;
+  document.getElementById('puzzleInfo').textContent = `${puzzleSource(puzzle)}. Find the best move for ${puzzle.side}.`;
+  setPuzzleFeedback('info', `${puzzle.side} to move`);
+}
+
+function setPuzzleFeedback(type, text) {
+  const el = document.getElementById('puzzleFeedback');
+  el.className = 'train-feedback ' + type;
+  el.textContent = text;
+}
+
+function puzzleSolverToMove() {
+  return puzzleCurrent && puzzleStep < puzzleCurrent.solution.length && puzzleStep % 2 === 0;
+}
+
+function onPuzzleDragStart(source, piece) {
+  return puzzleSolverToMove() && piece[0] === puzzleChess.turn();
+}
+
+function onPuzzleDrop(source, target) {
+  const expected = puzzleCurrent.solution[puzzleStep];
+  const promotion = expected.slice(0, 4) === source + target && expected.length > 4 ? expected[4] : 'q';
+  let move = null;
+  try {
+    move = puzzleChess.move({ from: source, to: target, promotion });
+  } catch (e) { /* illegal move */ }
+  if (!move) return 'snapback';
+
+  clearTrainArrows();
+  hideTrainTooltip();
+  const uci = move.from + move.to + (move.promotion || '');
+  // Any mate is as good as the engine's
+  if (uci !== expected && !puzzleChess.isCheckmate()) {
+    puzzleChess.undo();
+    puzzleHelped = true;
+    highlightTrainSquare(source, '#e74c3c', 0.2);
+    highlightTrainSquare(target, '#e74c3c', 0.25);
+    drawTrainArrow(source, target, '#e74c3c', 0.6);
+    setPuzzleFeedback('wrong', `${move.san} is not it. Try again.`);
+    return 'snapback';
+  }
+
+  puzzleStep += 1;
+  puzzleHints = 0;
+  highlightTrainSquare(source, '#7fad39', 0.25);
+  highlightTrainSquare(target, '#7fad39', 0.3);
+  if (puzzleStep >= puzzleCurrent.solution.length || puzzleChess.isCheckmate()) {
+    onPuzzleSolved();
+    return;
+  }
+  setPuzzleFeedback('correct', `${move.san} — correct! Keep going.`);
+  puzzleTimer = setTimeout(playPuzzleReply, 500);
+}
+
+function onPuzzleSnapEnd() {
+  if (puzzleBoard && puzzleChess) puzzleBoard.position(puzzleChess.fen());
+}
+
+// The opponent's reply from the engine line
+function playPuzzleReply() {
+  const uci = puzzleCurrent.solution[puzzleStep];
+  const move = puzzleChess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci.length > 4 ? uci[4] : undefined });
+  puzzleStep += 1;
+  puzzleBoard.position(puzzleChess.fen());
+  clearTrainArrows();
+  highlightTrainSquare(move.from, '#6495ed', 0.25);
+  highlightTrainSquare(move.to, '#6495ed', 0.3);
+  setPuzzleFeedback('info', `${move.san} — your move`);
+}
+
+// Only a solve without wrong moves or hints takes a puzzle out of the queue
+function onPuzzleSolved() {
+  const clean = !puzzleHelped;
+  updateStoredPuzzle(puzzleCurrent.id, (p) => {
+    p.attempts += 1;
+    if (clean) p.solved = true;
+  });
+  setPuzzleFeedback('complete', clean ? 'Solved!' : 'Solved with help. It stays in your queue.');
+  const line = puzzleCurrent.solutionSan.join(' ');
+  document.getElementById('puzzleInfo').textContent =
+    `${puzzleSource(puzzleCurrent)}. Solution: ${line} (${puzzleTheme(puzzleCurrent)}, ${puzzleCurrent.eval}).`;
+}
+
+// First hint marks the piece to move, the second shows the move
+document.getElementById('puzzleHintBtn').addEventListener('click', () => {
+  if (!puzzleSolverToMove()) return;
+  const uci = puzzleCurrent.solution[puzzleStep];
+  puzzleHelped = true;
+  puzzleHints = Math.min(2, puzzleHints + 1);
+  clearTrainArrows();
+  highlightTrainSquare(uci.slice(0, 2), '#c8a600', 0.35);
+  if (puzzleHints === 2) drawTrainArrow(uci.slice(0, 2), uci.slice(2, 4), '#7fad39', 0.85);
+});
+
+document.getElementById('puzzleRetryBtn').addEventListener('click', () => {
+  if (puzzleCurrent) showPuzzle(puzzleCurrent.id);
+});
+
+document.getElementById('puzzleNextBtn').addEventListener('click', () => {
+  if (!puzzleCurrent) return;
+  const next = (puzzleQueue.indexOf(puzzleCurrent.id) + 1) % puzzleQueue.length;
+  showPuzzle(puzzleQueue[next]);
+});
+
+document.getElementById('puzzleBackBtn').addEventListener('click', () => {
+  clearTimeout(puzzleTimer);
+  hideTrainTooltip();
+  if (puzzleBoard) { puzzleBoard.destroy(); puzzleBoard = null; }
+  puzzleCurrent = null;
+  document.getElementById('puzzleSection').style.display = 'none';
+  inputPanel.style.display = '';
+  renderPuzzleTab();
+});
+
+document.getElementById('startPuzzlesBtn').addEventListener('click', () => openPuzzles());
+
+renderPuzzleTab();
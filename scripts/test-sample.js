@@ -1,7 +1,7 @@
 process.env.STOCKFISH_DEPTH = process.env.STOCKFISH_DEPTH || '8';
 process.env.MAX_MOVES = process.env.MAX_MOVES || '8';
 
-const { analyzeGame } = require('../server');
+const { analyzeGame, shutdownEnginePools } = require('../server');
 
 const samplePgn = `[Event "Live Chess"]
 [Site "Chess.com"]
@@ -19,6 +19,8 @@ const samplePgn = `[Event "Live Chess"]
     console.log(analysis.slice(0, 4));
   } catch (err) {
     console.error(err);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    await shutdownEnginePools();
   }
 })();
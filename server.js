@@ -1,15 +1,35 @@
 require('dotenv').config();
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { URL } = require('url');
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
 const readline = require('readline');
 
 const PORT = process.env.PORT || 3000;
 const STOCKFISH_PATH = process.env.STOCKFISH_PATH || 'stockfish';
 const STOCKFISH_DEPTH = parseInt(process.env.STOCKFISH_DEPTH || '12', 10);
+const STOCKFISH_POOL_SIZE = parseInt(process.env.STOCKFISH_POOL_SIZE || '2', 10);
+const STOCKFISH_MULTIPV = parseInt(process.env.STOCKFISH_MULTIPV || '1', 10);
+const STOCKFISH_THREADS = parseInt(process.env.STOCKFISH_THREADS || '1', 10);
+const STOCKFISH_HASH = parseInt(process.env.STOCKFISH_HASH || '128', 10);
+const STOCKFISH_MOVETIME = parseInt(process.env.STOCKFISH_MOVETIME || '0', 10);
+const STOCKFISH_NODES = parseInt(process.env.STOCKFISH_NODES || '0', 10);
+const STOCKFISH_THREAT_DEPTH = parseInt(process.env.STOCKFISH_THREAT_DEPTH || '10', 10);
+const ENGINES_CONFIG = process.env.ENGINES_CONFIG || '';
+const SYZYGY_PATH = process.env.SYZYGY_PATH || '';
+const SYZYGY_MAX_PIECES = parseInt(process.env.SYZYGY_MAX_PIECES || '6', 10);
+const FATHOM_PATH = process.env.FATHOM_PATH || 'fathom';
+const MAX_MULTIPV = 5;
 const MAX_MOVES = parseInt(process.env.MAX_MOVES || '120', 10);
+// [%eval] annotations that state a depth below this are re-searched
+const PGN_EVAL_MIN_DEPTH = parseInt(process.env.PGN_EVAL_MIN_DEPTH || String(STOCKFISH_DEPTH), 10);
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MINUTES || '30', 10) * 60 * 1000;
+// A running job nobody follows for this long is cancelled; covers a reload or a dropped connection
+const JOB_IDLE_MS = parseInt(process.env.JOB_IDLE_SECONDS || '60', 10) * 1000;
+const MAX_RUNNING_JOBS = parseInt(process.env.MAX_RUNNING_JOBS || '4', 10);
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
 const GEMINI_MODEL = process.env.GEMINI_MODEL || '';
 const GEMINI_PRIMARY_MODEL = process.env.GEMINI_PRIMARY_MODEL || GEMINI_MODEL || 'gemini-3-flash-preview';
@@ -106,9 +126,18 @@ async function handleAnalyze(req, res) {
         sendJson(res, 400, { error: 'PGN is required.' });
         return;
       }
-      const analysis = await analyzeGame(pgn);
-      sendJson(res, 200, { analysis });
+      const engine = await resolveEngineSettings(parsed.engine);
+      if (engine.error) {
+        sendJson(res, engine.status, { error: engine.error });
+        return;
+      }
+      let summary = null;
+      const analysis = await analyzeGame(pgn, (event, data) => {
+        if (event === 'done') summary = data.summary;
+      }, analysisOptions(parsed, abortOnClose(res), engine.settings));
+      sendJson(res, 200, { analysis, summary });
     } catch (err) {
+      if (isAbortError(err)) return;
       sendJson(res, 500, { error: err.message || 'Analysis failed.' });
     }
   });
@@ -142,6 +171,13 @@ async function handleAnalyzeStream(req, res) {
       return;
     }
 
+    const engine = await resolveEngineSettings(parsed.engine);
+    if (engine.error) {
+      res.writeHead(engine.status, { 'Content-Type': 'text/plain' });
+      res.end(engine.error);
+      return;
+    }
+
     // SSE headers
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
@@ -156,8 +192,276 @@ async function handleAnalyzeStream(req, res) {
     try {
       await analyzeGame(pgn, (event, data) => {
         if (!res.writableEnded) send(event, data);
+      }, analysisOptions(parsed, abortOnClose(res), engine.settings));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      send('error', { error: err.message || 'Analysis failed.' });
+    }
+
+    if (!res.writableEnded) res.end();
+  });
+}
+
+// The analyzeGame options a request body can set; `engine` is the result of
+// resolveEngineSettings(parsed.engine)
+function analysisOptions(parsed, signal, engine) {
+  return {
+    multipv: parsed.multipv,
+    reuseEvals: parsed.reuseEvals !== false,
+    engine: engine || null,
+    signal: signal || null
+  };
+}
+
+// Aborted when the client goes away before the response is finished, so
+// engine searches and coaching calls for an abandoned analysis stop early.
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      log('info', 'Client disconnected, aborting analysis');
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+function abortError() {
+  const err = new Error('Analysis aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+function isAbortError(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
+// A registry engine's (`?name=`, default otherwise) `id name`, author and
+// advertised UCI options, plus its default search settings and the ranges a
+// request's `engine` object may use
+async function handleEngineInfo(req, res, requestUrl) {
+  try {
+    const definition = getEngineDefinition(requestUrl.searchParams.get('name'));
+    if (!definition) {
+      sendJson(res, 404, { error: 'Unknown engine.' });
+      return;
+    }
+    const info = await getEnginePool(definition.name).engineInfo();
+    sendJson(res, 200, {
+      ...info,
+      engine: definition.name,
+      label: definition.label,
+      poolSize: STOCKFISH_POOL_SIZE,
+      defaults: defaultEngineSettings(definition),
+      limits: engineSettingBounds(info)
+    });
+  } catch (err) {
+    sendJson(res, 503, { error: `Engine unavailable: ${err.message}` });
+  }
+}
+
+async function handlePgnGames(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk.toString();
+    if (body.length > MAX_BODY_SIZE) {
+      res.writeHead(413);
+      res.end();
+      req.destroy();
+    }
+  });
+
+  req.on('end', () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(body || '{}');
+    } catch (err) {
+      sendJson(res, 400, { error: 'Invalid JSON.' });
+      return;
+    }
+
+    const pgn = parsed.pgn ? String(parsed.pgn) : '';
+    if (!pgn.trim()) {
+      sendJson(res, 400, { error: 'PGN is required.' });
+      return;
+    }
+
+    sendJson(res, 200, { games: listPgnGames(pgn) });
+  });
+}
+
+// Analyzes the games of a multi-game PGN one after another over a single SSE
+// stream. Progress events from analyzeGame are forwarded tagged with the game
+// index ('move' is left out — each game's entries arrive in 'game-done').
+async function handleAnalyzeBatch(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk.toString();
+    if (body.length > MAX_BODY_SIZE) {
+      res.writeHead(413);
+      res.end();
+      req.destroy();
+    }
+  });
+
+  req.on('end', async () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(body || '{}');
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid JSON');
+      return;
+    }
+
+    const pgn = parsed.pgn ? String(parsed.pgn) : '';
+    if (!pgn.trim()) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('PGN is required.');
+      return;
+    }
+
+    const engine = await resolveEngineSettings(parsed.engine);
+    if (engine.error) {
+      res.writeHead(engine.status, { 'Content-Type': 'text/plain' });
+      res.end(engine.error);
+      return;
+    }
+
+    const games = splitPgnGames(pgn);
+    const queue = Array.isArray(parsed.games)
+      ? parsed.games.map((i) => parseInt(i, 10)).filter((i) => i >= 0 && i < games.length)
+      : games.map((_, i) => i);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const send = (event, data) => {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const signal = abortOnClose(res);
+    send('batch', { total: queue.length, games: queue });
+    let completed = 0;
+    let failed = 0;
+    for (let n = 0; n < queue.length && !signal.aborted; n += 1) {
+      const index = queue[n];
+      send('game', { game: index, position: n + 1, total: queue.length });
+      let summary = null;
+      try {
+        const analysis = await analyzeGame(games[index], (event, data) => {
+          if (event === 'done') summary = data.summary;
+          else if (event !== 'move') send(event, { game: index, ...data });
+        }, analysisOptions(parsed, signal, engine.settings));
+        completed += 1;
+        send('game-done', { game: index, summary, analysis });
+      } catch (err) {
+        if (isAbortError(err)) break;
+        failed += 1;
+        send('game-error', { game: index, error: err.message || 'Analysis failed.' });
+      }
+    }
+    send('batch-done', { total: queue.length, completed, failed });
+    log('info', 'Batch complete', { total: queue.length, completed, failed });
+
+    if (!res.writableEnded) res.end();
+  });
+}
+
+// One position searched on its own. Streams `start`, an `info` event each
+// time the engine finishes a depth (every line's depth, eval and SAN PV),
+// then `done` with the final lines. Closing the connection stops the search.
+async function handleAnalyzePosition(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk.toString();
+    if (body.length > MAX_BODY_SIZE) {
+      res.writeHead(413);
+      res.end();
+      req.destroy();
+    }
+  });
+
+  req.on('end', async () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(body || '{}');
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid JSON');
+      return;
+    }
+
+    const Chess = getChess();
+    const fen = parsed.fen ? String(parsed.fen).trim() : '';
+    let chess;
+    try {
+      chess = new Chess(fen);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('A valid FEN is required.');
+      return;
+    }
+
+    // depth and movetime sit next to fen; everything else goes in `engine`
+    const spec = typeof parsed.engine === 'string' ? { name: parsed.engine } : { ...(parsed.engine || {}) };
+    if (parsed.depth !== undefined) spec.depth = parsed.depth;
+    if (parsed.movetime !== undefined) spec.movetime = parsed.movetime;
+    const engine = await resolveEngineSettings(spec);
+    if (engine.error) {
+      res.writeHead(engine.status, { 'Content-Type': 'text/plain' });
+      res.end(engine.error);
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const send = (event, data) => {
+      if (!res.writableEnded && !res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const { name, depth, ...limits } = engine.settings;
+    const multipv = normalizeMultiPv(parsed.multipv);
+    const sideToMove = chess.turn();
+    send('start', { fen, engine: name, depth, movetime: limits.movetime, multipv });
+
+    const legalMoves = chess.moves().length;
+    if (!legalMoves) {
+      send('done', { bestMove: null, uci: null, lines: [], gameOver: chess.isCheckmate() ? 'checkmate' : 'stalemate' });
+      res.end();
+      return;
+    }
+
+    // Lines arrive one by one for each depth; a depth is complete once the
+    // last line the position allows has reported
+    const lastLine = Math.min(multipv, legalMoves) - 1;
+    const signal = abortOnClose(res);
+    try {
+      const result = await getEnginePool(name).withEngine((e) => e.analyze(fen, depth, {
+        ...limits,
+        multipv,
+        signal,
+        stopOnAbort: true,
+        onInfo: (index, lines) => {
+          if (index !== lastLine) return;
+          send('info', { depth: lines[index].depth, lines: buildAlternatives(fen, { lines: lines.filter((l) => l && l.pv) }, sideToMove) });
+        }
+      }), signal);
+      send('done', {
+        bestMove: uciToSan(fen, result.bestMove),
+        uci: result.bestMove,
+        stopped: signal.aborted,
+        lines: buildAlternatives(fen, result, sideToMove)
       });
     } catch (err) {
+      if (isAbortError(err)) return;
       send('error', { error: err.message || 'Analysis failed.' });
     }
 
@@ -192,7 +496,7 @@ async function handleImport(req, res) {
     }
 
     try {
-      const pgn = await fetchPgnFromUrl(url);
+      const pgn = await fetchPgnFromUrl(url, { evals: parsed.evals === true });
       if (!pgn) {
         sendJson(res, 400, { error: 'Could not fetch PGN from that URL.' });
         return;
@@ -205,7 +509,8 @@ async function handleImport(req, res) {
   });
 }
 
-async function fetchPgnFromUrl(url) {
+// options.evals asks Lichess for its server analysis as [%eval] comments
+async function fetchPgnFromUrl(url, options = {}) {
   // Lichess game URL patterns:
   //   https://lichess.org/GAMEID
   //   https://lichess.org/GAMEID/black
@@ -217,7 +522,7 @@ async function fetchPgnFromUrl(url) {
     const ids = fullId.length > 8 ? [fullId, fullId.slice(0, 8)] : [fullId];
 
     for (const gameId of ids) {
-      const apiUrl = `https://lichess.org/game/export/${gameId}?clocks=false&evals=false`;
+      const apiUrl = `https://lichess.org/game/export/${gameId}?clocks=true&evals=${options.evals ? 'true' : 'false'}`;
       log('info', 'Importing from Lichess', { gameId });
       const resp = await fetch(apiUrl, {
         headers: { 'Accept': 'application/x-chess-pgn' }
@@ -290,6 +595,244 @@ async function fetchPgnFromUrl(url) {
   throw new Error('Unsupported URL. Paste a Lichess or Chess.com game link.');
 }
 
+// ═══════════════════════════════════════════════════════════════
+// ANALYSIS JOBS
+// ═══════════════════════════════════════════════════════════════
+// An analysis that outlives its HTTP connection. Every event analyzeGame
+// emits is numbered and kept, so GET /jobs/:id/events can replay what a
+// reconnecting client missed (Last-Event-ID) before following live. Finished
+// jobs are dropped JOB_TTL_MS after they end; a running job left without an
+// event stream for JOB_IDLE_MS is cancelled so it stops using the engine and
+// Gemini.
+
+const jobs = new Map();
+let jobSweepTimer = null;
+
+function createJob(pgn, options) {
+  const job = {
+    id: crypto.randomUUID(),
+    pgn,
+    status: 'running',
+    createdAt: Date.now(),
+    finishedAt: null,
+    progress: null,
+    analysis: [],
+    summary: null,
+    error: null,
+    events: [],
+    listeners: new Set(),
+    idleTimer: null,
+    controller: new AbortController()
+  };
+  jobs.set(job.id, job);
+  startJobSweep();
+  // The client opens the event stream right after creating the job
+  watchJobIdle(job);
+  log('info', 'Job created', { id: job.id });
+
+  analyzeGame(pgn, (event, data) => recordJobEvent(job, event, data), {
+    ...options,
+    signal: job.controller.signal
+  }).then(() => {
+    finishJob(job, 'done');
+  }).catch((err) => {
+    if (isAbortError(err)) {
+      // A terminal event tells followers the stream is over, like done and error
+      recordJobEvent(job, 'cancelled', {});
+      finishJob(job, 'cancelled');
+      return;
+    }
+    job.error = err.message || 'Analysis failed.';
+    recordJobEvent(job, 'error', { error: job.error });
+    finishJob(job, 'error');
+  });
+
+  return job;
+}
+
+function recordJobEvent(job, event, data) {
+  const record = { id: job.events.length + 1, event, data };
+  job.events.push(record);
+
+  // Keep a partial result alongside the raw events for GET /jobs/:id
+  if (event === 'phase') {
+    job.progress = { phase: data.phase, current: 0, total: data.total };
+  } else if (event === 'stockfish' || event === 'puzzles' || event === 'coach') {
+    job.progress = { phase: event === 'coach' ? 'coaching' : event, current: data.current, total: data.total };
+  }
+  if (event === 'move') job.analysis.push(data);
+  if (event === 'coach') {
+    const entry = job.analysis.find((m) => m.ply === data.ply);
+    if (entry) entry.explanation = data.explanation;
+  }
+  if (event === 'done') job.summary = data.summary;
+
+  for (const listener of job.listeners) listener(record);
+}
+
+function finishJob(job, status) {
+  clearTimeout(job.idleTimer);
+  job.idleTimer = null;
+  job.status = status;
+  job.finishedAt = Date.now();
+  log('info', 'Job finished', { id: job.id, status });
+  for (const listener of job.listeners) listener(null);
+  job.listeners.clear();
+}
+
+function runningJobCount() {
+  let running = 0;
+  for (const job of jobs.values()) {
+    if (job.status === 'running') running += 1;
+  }
+  return running;
+}
+
+// Starts the idle countdown once a running job has no event streams left
+function watchJobIdle(job) {
+  if (job.status !== 'running' || job.listeners.size || job.idleTimer) return;
+  job.idleTimer = setTimeout(() => {
+    job.idleTimer = null;
+    if (job.status !== 'running' || job.listeners.size) return;
+    log('info', 'Job abandoned', { id: job.id });
+    job.controller.abort();
+  }, JOB_IDLE_MS);
+  job.idleTimer.unref();
+}
+
+function startJobSweep() {
+  if (jobSweepTimer) return;
+  jobSweepTimer = setInterval(() => {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    }
+  }, 60 * 1000);
+  jobSweepTimer.unref();
+}
+
+function jobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    pgn: job.pgn,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    progress: job.progress,
+    lastEventId: job.events.length,
+    analysis: job.analysis,
+    summary: job.summary,
+    error: job.error
+  };
+}
+
+async function handleCreateJob(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk.toString();
+    if (body.length > MAX_BODY_SIZE) {
+      res.writeHead(413);
+      res.end();
+      req.destroy();
+    }
+  });
+
+  req.on('end', async () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(body || '{}');
+    } catch (err) {
+      sendJson(res, 400, { error: 'Invalid JSON.' });
+      return;
+    }
+
+    const pgn = parsed.pgn ? String(parsed.pgn) : '';
+    if (!pgn.trim()) {
+      sendJson(res, 400, { error: 'PGN is required.' });
+      return;
+    }
+
+    const engine = await resolveEngineSettings(parsed.engine);
+    if (engine.error) {
+      sendJson(res, engine.status, { error: engine.error });
+      return;
+    }
+
+    if (runningJobCount() >= MAX_RUNNING_JOBS) {
+      sendJson(res, 429, { error: 'Too many analyses are running. Try again in a moment.' });
+      return;
+    }
+
+    const job = createJob(pgn, analysisOptions(parsed, null, engine.settings));
+    sendJson(res, 202, { id: job.id, status: job.status });
+  });
+}
+
+function handleGetJob(req, res, id) {
+  const job = jobs.get(id);
+  if (!job) {
+    sendJson(res, 404, { error: 'Job not found.' });
+    return;
+  }
+  sendJson(res, 200, jobStatus(job));
+}
+
+// Replays events after Last-Event-ID (header, or ?lastEventId= for clients
+// that can't set it), then streams live until the job finishes. Closing this
+// stream does not cancel the job.
+function handleJobEvents(req, res, id, requestUrl) {
+  const job = jobs.get(id);
+  if (!job) {
+    sendJson(res, 404, { error: 'Job not found.' });
+    return;
+  }
+
+  const lastEventId = parseInt(req.headers['last-event-id'] || requestUrl.searchParams.get('lastEventId') || '0', 10) || 0;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const write = (record) => {
+    if (!record) {
+      if (!res.writableEnded) res.end();
+      return;
+    }
+    if (!res.writableEnded) {
+      res.write(`id: ${record.id}\nevent: ${record.event}\ndata: ${JSON.stringify(record.data)}\n\n`);
+    }
+  };
+
+  for (const record of job.events) {
+    if (record.id > lastEventId) write(record);
+  }
+  if (job.status !== 'running') {
+    res.end();
+    return;
+  }
+
+  job.listeners.add(write);
+  clearTimeout(job.idleTimer);
+  job.idleTimer = null;
+  res.on('close', () => {
+    job.listeners.delete(write);
+    watchJobIdle(job);
+  });
+}
+
+function handleDeleteJob(req, res, id) {
+  const job = jobs.get(id);
+  if (!job) {
+    sendJson(res, 404, { error: 'Job not found.' });
+    return;
+  }
+  if (job.status === 'running') job.controller.abort();
+  jobs.delete(id);
+  sendJson(res, 200, { id, status: 'deleted' });
+}
+
 // ═══════════════════════════════════════════════════════════════
 // SCOUT FEATURE
 // ═══════════════════════════════════════════════════════════════
@@ -1043,45 +1586,97 @@ function createServer() {
       return;
     }
 
-    if (req.method === 'POST' && requestUrl.pathname === '/import') {
-      handleImport(req, res);
+    if (req.method === 'POST' && requestUrl.pathname === '/analyze-position') {
+      handleAnalyzePosition(req, res);
       return;
     }
 
-    if (req.method === 'POST' && requestUrl.pathname === '/scout') {
-      handleScout(req, res);
+    if (req.method === 'POST' && requestUrl.pathname === '/pgn-games') {
+      handlePgnGames(req, res);
       return;
     }
 
-    if (req.method === 'POST' && requestUrl.pathname === '/scout-report') {
-      handleScoutReport(req, res);
+    if (req.method === 'POST' && requestUrl.pathname === '/analyze-batch') {
+      handleAnalyzeBatch(req, res);
       return;
     }
 
-    if (req.method === 'POST' && requestUrl.pathname === '/generate-repertoire') {
-      handleGenerateRepertoire(req, res);
+    if (req.method === 'GET' && requestUrl.pathname === '/engine') {
+      handleEngineInfo(req, res, requestUrl);
       return;
     }
 
-    if (req.method === 'POST' && requestUrl.pathname === '/explain-opening') {
-      handleExplainOpening(req, res);
+    if (req.method === 'GET' && requestUrl.pathname === '/engines') {
+      handleListEngines(req, res);
       return;
     }
 
-    if (req.method === 'POST' && requestUrl.pathname === '/ask-opening') {
-      handleAskOpening(req, res);
+    if (req.method === 'POST' && requestUrl.pathname === '/jobs') {
+      handleCreateJob(req, res);
       return;
     }
 
-    if (req.method === 'GET') {
-      if (requestUrl.pathname === '/' || requestUrl.pathname === '/index.html') {
-        sendStatic(res, path.join(PUBLIC_DIR, 'index.html'));
+    const jobMatch = requestUrl.pathname.match(/^\/jobs\/([\w-]+)(\/events)?$/);
+    if (jobMatch) {
+      const [, jobId, events] = jobMatch;
+      if (req.method === 'GET' && events) {
+        handleJobEvents(req, res, jobId, requestUrl);
         return;
       }
-
-      const safePath = requestUrl.pathname.replace(/\.\./g, '');
-      const candidate = path.join(PUBLIC_DIR, safePath);
-      if (candidate.startsWith(PUBLIC_DIR)) {
+      if (req.method === 'GET') {
+        handleGetJob(req, res, jobId);
+        return;
+      }
+      if (req.method === 'DELETE' && !events) {
+        handleDeleteJob(req, res, jobId);
+        return;
+      }
+    }
+
+    if (req.method === 'POST' && requestUrl.pathname === '/export-pgn') {
+      handleExportPgn(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && requestUrl.pathname === '/import') {
+      handleImport(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && requestUrl.pathname === '/scout') {
+      handleScout(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && requestUrl.pathname === '/scout-report') {
+      handleScoutReport(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && requestUrl.pathname === '/generate-repertoire') {
+      handleGenerateRepertoire(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && requestUrl.pathname === '/explain-opening') {
+      handleExplainOpening(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && requestUrl.pathname === '/ask-opening') {
+      handleAskOpening(req, res);
+      return;
+    }
+
+    if (req.method === 'GET') {
+      if (requestUrl.pathname === '/' || requestUrl.pathname === '/index.html') {
+        sendStatic(res, path.join(PUBLIC_DIR, 'index.html'));
+        return;
+      }
+
+      const safePath = requestUrl.pathname.replace(/\.\./g, '');
+      const candidate = path.join(PUBLIC_DIR, safePath);
+      if (candidate.startsWith(PUBLIC_DIR)) {
         sendStatic(res, candidate);
         return;
       }
@@ -1099,6 +1694,13 @@ if (require.main === module) {
     process.exit(1);
   });
   server.listen(PORT, () => {
+    // A broken ENGINES_CONFIG should stop the server here, not fail every analysis
+    try {
+      getEngineRegistry();
+    } catch (err) {
+      log('error', 'Invalid engine registry', { error: err.message });
+      process.exit(1);
+    }
     log('info', 'Server listening', { url: `http://localhost:${PORT}` });
   });
 
@@ -1106,216 +1708,1692 @@ if (require.main === module) {
     log('error', 'Uncaught exception', { error: err.message });
   });
 
-  process.on('unhandledRejection', (reason) => {
-    log('error', 'Unhandled rejection', { error: String(reason) });
-  });
+  process.on('unhandledRejection', (reason) => {
+    log('error', 'Unhandled rejection', { error: String(reason) });
+  });
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      log('info', 'Shutting down', { signal });
+      await shutdownEnginePools();
+      process.exit(0);
+    });
+  }
+}
+
+async function analyzeGame(pgn, onProgress, options = {}) {
+  const emit = onProgress || (() => {});
+  const Chess = getChess();
+  const game = parsePgnGame(pgn);
+  const mainline = game.moves.slice(0, MAX_MOVES);
+  const multipv = normalizeMultiPv(options.multipv);
+  const signal = options.signal || null;
+
+  // Every distinct position is searched once: the mainline first, then the
+  // positions reached inside side lines (a variation starts from a mainline
+  // or parent-line position that is already in the list)
+  const fens = [game.startFen];
+  const seen = new Set([game.startFen]);
+  const addFen = (fen) => {
+    if (seen.has(fen)) return;
+    seen.add(fen);
+    fens.push(fen);
+  };
+  for (const node of mainline) addFen(node.fenAfter);
+  let sidelineMoves = 0;
+  forEachVariationNode(mainline, (node) => {
+    sidelineMoves += 1;
+    addFen(node.fenAfter);
+  });
+
+  // [%eval] annotations (Lichess server analysis) stand in for a search,
+  // except where a move from that position looks like an error: those
+  // positions still need the engine's best move and line for coaching
+  const pgnScores = options.reuseEvals === false ? new Map() : collectPgnScores(mainline);
+  const criticalFens = findCriticalPositions(mainline, pgnScores);
+  const engineFens = fens.filter((fen) => !pgnScores.has(fen) || criticalFens.has(fen));
+
+  // Each mainline position the engine searches also gets a shallower search
+  // with the opponent to move again, to find what they threaten; positions
+  // scored from [%eval] keep their speedup and go without
+  const searchedFens = new Set(engineFens);
+  const nullFens = new Map();
+  for (const node of mainline) {
+    if (!searchedFens.has(node.fenBefore)) continue;
+    const nullFen = nullMoveFen(node.fenBefore);
+    if (nullFen) nullFens.set(node.fenBefore, nullFen);
+  }
+  const threatFens = [...new Set(nullFens.values())];
+  const totalSearches = engineFens.length + threatFens.length;
+  log('info', 'Analysis start', {
+    totalMoves: game.moves.length,
+    sidelineMoves,
+    maxMoves: MAX_MOVES,
+    multipv,
+    engine: options.engine ? options.engine.name : null
+  });
+
+  emit('phase', { phase: 'stockfish', total: totalSearches, reused: fens.length - engineFens.length });
+
+  // Games set up from a [FEN] header start there; book tracking only applies
+  // to games from the initial position
+  const standardStart = positionKey(game.startFen) === positionKey(new Chess().fen());
+
+  // Phase 1: Stockfish — evaluate each position ONCE, spread across the engine pool
+  // Always search two lines so only-moves can be detected, even if fewer are shown
+  const engineLines = Math.max(2, multipv);
+  const settings = options.engine || defaultEngineSettings();
+  const { name: engineName, depth, ...limits } = settings;
+  const pool = getEnginePool(engineName);
+  // Engine retries show up in the progress events rather than failing the game
+  let searched = 0;
+  let retries = 0;
+  const onRetry = (retry) => {
+    retries += 1;
+    emit('stockfish', { current: searched, total: totalSearches, retries, retry });
+  };
+  const engineEvals = await pool.analyzeMany(engineFens, depth, { ...limits, multipv: engineLines, signal, onRetry }, (current) => {
+    searched = current;
+    emit('stockfish', { current, total: totalSearches, retries });
+  });
+  const threatDepth = Math.min(depth, STOCKFISH_THREAT_DEPTH);
+  const threatEvals = await pool.analyzeMany(threatFens, threatDepth, { ...limits, multipv: 1, signal, onRetry }, (current) => {
+    searched = engineFens.length + current;
+    emit('stockfish', { current: searched, total: totalSearches, retries });
+  });
+  // Where the PGN has an eval it stays the eval, so every move is scored from
+  // one source; a re-searched critical position only adds the engine's best
+  // move and lines
+  const engineScores = new Map(engineFens.map((fen, i) => [fen, engineEvals[i]]));
+  const evals = new Map(engineScores);
+  for (const [fen, score] of pgnScores) {
+    const engine = engineScores.get(fen);
+    evals.set(fen, engine ? { ...engine, cp: score.cp, mate: score.mate, depth: score.depth, source: 'pgn' } : score);
+  }
+  const evalOf = (fen) => evals.get(fen);
+  const passedEvals = new Map(threatFens.map((fen, i) => [fen, threatEvals[i]]));
+  const threats = new Map();
+  for (const [fen, nullFen] of nullFens) {
+    // Both sides of the null-move comparison come from the engine
+    const threat = findThreat(fen, engineScores.get(fen), passedEvals.get(nullFen));
+    if (threat) threats.set(fen, threat);
+  }
+  log('info', 'Stockfish done', { positions: engineFens.length, threats: threatFens.length, reused: fens.length - engineFens.length, retries });
+
+  const tablebase = await probeTablebases(fens, signal);
+  if (tablebase.size) log('info', 'Tablebase probed', { positions: tablebase.size });
+
+  // Phase 2: Build move data and emit each move as it's ready
+  const result = [];
+  const coachQueue = [];
+
+  const book = getBookPositions();
+  const context = {
+    book,
+    evalOf,
+    multipv,
+    tablebaseOf: (fen) => tablebase.get(fen) || null,
+    threatOf: (fen) => threats.get(fen) || null
+  };
+
+  const timeControl = parseTimeControl(game.headers.TimeControl);
+  const clocks = clockTimes(mainline, timeControl);
+  const thresholds = clockThresholds(mainline, clocks, timeControl);
+
+  let inBook = standardStart;
+  let phase = null;
+  for (let i = 0; i < mainline.length; i += 1) {
+    const node = mainline[i];
+    const bookBefore = inBook;
+    inBook = inBook && book.has(positionKey(node.fenAfter));
+    const previous = result[result.length - 1];
+    const entry = buildMoveEntry(node, i + 1, previous, inBook, context);
+
+    const clock = clocks[i];
+    const moverWinBefore = entry.mover === 'White' ? entry.winBefore : 100 - entry.winBefore;
+    const easy = Boolean(clock) && isEasyPosition(node, mainline[i - 1], moverWinBefore);
+    entry.clock = clock ? clock.clock : null;
+    entry.timeSpent = clock ? clock.timeSpent : null;
+    entry.timeFlags = timeFlags(entry.label, clock, node.mover, thresholds, easy);
+    phase = nextGamePhase(phase, node.fenBefore, entry.label === 'book', node.moveNumber);
+    entry.phase = phase;
+    entry.variations = node.variations.map((line) => buildVariation(line, i + 1, previous, bookBefore, context));
+
+    // Emit each move with its eval data immediately
+    emit('move', entry);
+
+    if (shouldExplain(entry.label)) {
+      const before = evalOf(node.fenBefore);
+      const moverWinAfter = entry.mover === 'White' ? entry.winAfter : 100 - entry.winAfter;
+      coachQueue.push({
+        index: result.length,
+        facts: {
+          move: entry.san,
+          sideToMove: entry.mover,
+          fen: node.fenBefore,
+          evalBefore: entry.evalBefore,
+          evalAfter: entry.evalAfter,
+          deltaCp: entry.deltaCp,
+          winBefore: Math.round(moverWinBefore),
+          winAfter: Math.round(moverWinAfter),
+          label: entry.label,
+          bestMove: entry.bestMove || before.bestMove || 'unknown',
+          pvLine: entry.pv.join(' '),
+          clock: clock ? formatClock(clock.clock) : null,
+          timeSpent: entry.timeSpent,
+          timeTrouble: entry.timeFlags.includes('time-trouble'),
+          tablebase: entry.tablebase,
+          motifs: entry.motifs,
+          threat: entry.threat
+        }
+      });
+    }
+
+    result.push(entry);
+  }
+
+  // Mistakes with a clear, unique best line become puzzles
+  const puzzles = await generatePuzzles(result, evalOf, (puzzleFens, onSearched) =>
+    pool.analyzeMany(puzzleFens, depth, { ...limits, multipv: 2, signal, onRetry }, onSearched), game.headers, emit);
+  if (puzzles.length) log('info', 'Puzzles found', { puzzles: puzzles.length });
+
+  // Phase 3: Gemini coaching — run in parallel batches, emit each as done
+  log('info', 'Coaching start', { movesToExplain: coachQueue.length });
+  emit('phase', { phase: 'coaching', total: coachQueue.length });
+
+  const BATCH_SIZE = 10;
+  let coachDone = 0;
+  for (let b = 0; b < coachQueue.length; b += BATCH_SIZE) {
+    if (signal && signal.aborted) {
+      log('info', 'Coaching skipped', { remaining: coachQueue.length - b });
+      throw abortError();
+    }
+    const batch = coachQueue.slice(b, b + BATCH_SIZE);
+    const explanations = await Promise.all(
+      batch.map((item) => generateExplanation(item.facts, signal))
+    );
+    if (signal && signal.aborted) throw abortError();
+    for (let j = 0; j < batch.length; j++) {
+      result[batch[j].index].explanation = explanations[j];
+      coachDone++;
+      emit('coach', {
+        ply: result[batch[j].index].ply,
+        explanation: explanations[j],
+        current: coachDone,
+        total: coachQueue.length
+      });
+    }
+  }
+
+  // Record which engine (and build) produced the evals
+  const summary = summarizeGame(result);
+  const definition = getEngineDefinition(engineName);
+  summary.engine = { name: engineName, label: definition.label, id: pool.info ? pool.info.name : null, ...limits, depth };
+  summary.puzzles = puzzles;
+
+  emit('done', {
+    totalMoves: result.length,
+    sidelineMoves,
+    explained: coachQueue.length,
+    summary
+  });
+  log('info', 'Analysis complete', { analyzedMoves: result.length, explained: coachQueue.length });
+  return result;
+}
+
+// Scores one played move from the evals of the positions either side of it.
+// Shared by the mainline and side lines; `previous` is the entry for the move
+// before it on the same line (for "great" and "miss" detection).
+function buildMoveEntry(node, ply, previous, inBook, context) {
+  const mover = node.mover;
+  const before = context.evalOf(node.fenBefore);
+  const after = context.evalOf(node.fenAfter);
+
+  const beforeEval = scoreToWhite(before, mover);
+  const afterEval = scoreToWhite(after, mover === 'w' ? 'b' : 'w');
+
+  const moverBefore = mover === 'w' ? beforeEval.cpApprox : -beforeEval.cpApprox;
+  const moverAfter = mover === 'w' ? afterEval.cpApprox : -afterEval.cpApprox;
+  const delta = moverAfter - moverBefore;
+
+  const tbBefore = context.tablebaseOf(node.fenBefore);
+  const tbAfter = context.tablebaseOf(node.fenAfter);
+  const tablebase = tbBefore && tbAfter ? tablebaseChange(tbBefore, tbAfter) : null;
+
+  // With both positions probed the outcome sets the win chance (win, draw or
+  // loss as 100, 50 or 0), so accuracy and critical moments follow the
+  // tablebase as the label does
+  let winBefore = winPercentFromEval(beforeEval);
+  let winAfter = winPercentFromEval(afterEval);
+  if (tablebase) {
+    const fromMover = (outcome) => {
+      const win = 50 + 50 * TB_PRACTICAL[outcome];
+      return mover === 'w' ? win : 100 - win;
+    };
+    winBefore = fromMover(tablebase.before);
+    winAfter = fromMover(tablebase.after);
+  }
+  const moverWinBefore = mover === 'w' ? winBefore : 100 - winBefore;
+  const moverWinAfter = mover === 'w' ? winAfter : 100 - winAfter;
+  const expectedLoss = (moverWinBefore - moverWinAfter) / 100;
+  // Keeping a tablebase result loses nothing, whatever the centipawns say
+  const cpLoss = tablebase && tablebase.drop === 0 ? 0 : Math.max(0, clampCp(moverBefore) - clampCp(moverAfter));
+
+  const label = inBook ? 'book' : classifyMove({
+    expectedLoss,
+    moverWinBefore,
+    moverWinAfter,
+    playedBest: node.uci === before.bestMove,
+    secondBestLoss: secondLineLoss(before, mover),
+    opponentLoss: previous ? previous.expectedLoss : 0,
+    sacrifice: isSacrifice(node.fenAfter, node.move),
+    tablebase
+  });
+  const alternatives = buildAlternatives(node.fenBefore, before, mover).slice(0, context.multipv);
+  const playedIndex = alternatives.findIndex((alt) => alt.uci === node.uci);
+  const threat = context.threatOf(node.fenBefore);
+
+  return {
+    ply,
+    moveNumber: node.moveNumber,
+    mover: mover === 'w' ? 'White' : 'Black',
+    san: node.san,
+    uci: node.uci,
+    fenBefore: node.fenBefore,
+    fenAfter: node.fenAfter,
+    evalBefore: formatEval(beforeEval),
+    evalAfter: formatEval(afterEval),
+    deltaCp: Math.round(delta),
+    cpLoss: Math.round(cpLoss),
+    winBefore: round1(winBefore),
+    winAfter: round1(winAfter),
+    expectedLoss: Math.round(expectedLoss * 1000) / 1000,
+    accuracy: round1(moveAccuracy(moverWinBefore, moverWinAfter)),
+    label,
+    bestMove: uciToSan(node.fenBefore, before.bestMove),
+    pv: pvToSan(node.fenBefore, before.pv),
+    alternatives,
+    playedRank: playedIndex === -1 ? null : playedIndex + 1,
+    evalSource: after.source === 'pgn' ? 'pgn' : 'engine',
+    tablebase,
+    comments: node.comments,
+    nags: node.nags,
+    motifs: shouldExplain(label) ? detectMotifs(node, before, after) : [],
+    // A threat was ignored when it is still the opponent's best reply
+    threat: threat ? { ...threat, ignored: after.bestMove === threat.uci } : null,
+    explanation: null
+  };
+}
+
+// A side line replaces the move at `firstPly`; its entries nest their own
+// sub-variations the same way mainline entries do. Side lines are scored but
+// not sent to the coach and don't count towards the game summary.
+function buildVariation(nodes, firstPly, previous, inBook, context) {
+  const entries = [];
+  let prev = previous;
+  let bookLine = inBook;
+  nodes.forEach((node, index) => {
+    const bookBefore = bookLine;
+    bookLine = bookLine && context.book.has(positionKey(node.fenAfter));
+    const entry = buildMoveEntry(node, firstPly + index, prev, bookLine, context);
+    entry.variations = node.variations.map((line) => buildVariation(line, firstPly + index, prev, bookBefore, context));
+    entries.push(entry);
+    prev = entry;
+  });
+  return entries;
+}
+
+// Scores from [%eval] annotations keyed by the FEN they describe (the position
+// after the annotated move), in the same shape as a StockfishEngine result
+function collectPgnScores(mainline) {
+  const scores = new Map();
+  const visit = (node) => {
+    const score = parsePgnEval(node.commands.eval, node.mover === 'w' ? 'b' : 'w');
+    if (!score) return;
+    if (score.depth !== null && score.depth < PGN_EVAL_MIN_DEPTH) return;
+    scores.set(node.fenAfter, score);
+  };
+  mainline.forEach(visit);
+  forEachVariationNode(mainline, visit);
+  return scores;
+}
+
+// Positions whose move lost at least an inaccuracy's worth by the PGN's own
+// evals, or whose outcome the PGN doesn't say — the engine still searches these
+function findCriticalPositions(mainline, pgnScores) {
+  const critical = new Set();
+  const visit = (node) => {
+    const before = pgnScores.get(node.fenBefore);
+    if (!before) return;
+    const after = pgnScores.get(node.fenAfter);
+    if (!after) {
+      critical.add(node.fenBefore);
+      return;
+    }
+    const opponent = node.mover === 'w' ? 'b' : 'w';
+    const winBefore = winPercentFromEval(scoreToWhite(before, node.mover));
+    const winAfter = winPercentFromEval(scoreToWhite(after, opponent));
+    const loss = node.mover === 'w' ? winBefore - winAfter : winAfter - winBefore;
+    if (loss / 100 >= 0.05) critical.add(node.fenBefore);
+  };
+  mainline.forEach(visit);
+  forEachVariationNode(mainline, visit);
+  return critical;
+}
+
+function forEachVariationNode(line, visit) {
+  for (const node of line) {
+    for (const variation of node.variations) {
+      for (const child of variation) visit(child);
+      forEachVariationNode(variation, visit);
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PGN PARSING
+// ═══════════════════════════════════════════════════════════════
+// Movetext is parsed into a tree instead of a flat move list, so coaches'
+// side lines (RAV), comments and NAGs survive. Each node carries the FEN
+// before and after it; a variation hangs off the move it replaces and starts
+// from that move's fenBefore.
+
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+function tokenizeMovetext(text) {
+  const tokens = [];
+  const re = /\{([^}]*)\}|;([^\n]*)|(\()|(\))|\$(\d+)|([^\s{}();$]+)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[1] !== undefined) tokens.push({ type: 'comment', value: m[1].trim() });
+    else if (m[2] !== undefined) tokens.push({ type: 'comment', value: m[2].trim() });
+    else if (m[3]) tokens.push({ type: 'open' });
+    else if (m[4]) tokens.push({ type: 'close' });
+    else if (m[5]) tokens.push({ type: 'nag', value: parseInt(m[5], 10) });
+    else pushWordTokens(tokens, m[6]);
+  }
+  return tokens;
+}
+
+// A word may glue the move number to the move ("12.e4", "12...Nf6") and
+// carry suffix annotations ("e4!?").
+function pushWordTokens(tokens, word) {
+  const numbered = word.match(/^\d+\.+(.*)$/);
+  const rest = numbered ? numbered[1] : word;
+  if (!rest || /^\d+$/.test(rest)) return;
+  if (isResultToken(rest)) {
+    tokens.push({ type: 'result', value: rest });
+    return;
+  }
+  const suffix = rest.match(/^(.*?)([!?]+)$/);
+  const san = (suffix ? suffix[1] : rest).replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O');
+  if (!san) return;
+  tokens.push({ type: 'move', value: san });
+  if (suffix && SUFFIX_NAGS[suffix[2]]) tokens.push({ type: 'nag', value: SUFFIX_NAGS[suffix[2]] });
+}
+
+function isResultToken(token) {
+  return token === '1-0' || token === '0-1' || token === '1/2-1/2' || token === '*';
+}
+
+// Splits the first game in the text into its tag pairs and movetext.
+function splitPgnSections(pgnText) {
+  const headers = {};
+  const movetext = [];
+  for (const line of pgnText.replace(/\r\n/g, '\n').split('\n')) {
+    const trimmed = line.trim();
+    const tag = trimmed.match(/^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]$/);
+    if (tag) {
+      if (movetext.some((l) => l.trim())) break;
+      headers[tag[1]] = tag[2].replace(/\\(.)/g, '$1');
+      continue;
+    }
+    if (trimmed.startsWith('%')) continue;
+    movetext.push(line);
+  }
+  return { headers, movetext: movetext.join('\n') };
+}
+
+// A file of several games (a tournament round export) split into one PGN
+// string per game. A game ends where a tag pair follows its movetext.
+function splitPgnGames(pgnText) {
+  const games = [];
+  let current = [];
+  let inMovetext = false;
+  for (const line of pgnText.replace(/\r\n/g, '\n').split('\n')) {
+    const trimmed = line.trim();
+    // Only a whole tag pair counts: a wrapped comment can start a line with [%clk ...]
+    const isTag = /^\[\w+\s+"(?:[^"\\]|\\.)*"\s*\]$/.test(trimmed);
+    if (isTag && inMovetext) {
+      games.push(current.join('\n').trim());
+      current = [];
+      inMovetext = false;
+    }
+    if (trimmed && !isTag && !trimmed.startsWith('%')) inMovetext = true;
+    current.push(line);
+  }
+  const last = current.join('\n').trim();
+  if (last) games.push(last);
+  return games;
+}
+
+const LISTED_HEADERS = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result', 'WhiteElo', 'BlackElo', 'ECO', 'Opening'];
+
+// Game picker rows: the picked headers, mainline length and the game's own PGN,
+// or the parse error for a game that can't be analyzed
+function listPgnGames(pgnText) {
+  return splitPgnGames(pgnText).map((pgn, index) => {
+    const game = { index, headers: {}, moves: 0, pgn, error: null };
+    try {
+      const parsed = parsePgnGame(pgn);
+      for (const key of LISTED_HEADERS) {
+        if (parsed.headers[key]) game.headers[key] = parsed.headers[key];
+      }
+      game.moves = parsed.moves.length;
+    } catch (err) {
+      const { headers } = splitPgnSections(pgn);
+      for (const key of LISTED_HEADERS) {
+        if (headers[key]) game.headers[key] = headers[key];
+      }
+      game.error = err.message;
+    }
+    return game;
+  });
+}
+
+// Returns { headers, startFen, moves, result } where moves is the mainline:
+// [{ san, uci, move, moveNumber, mover, fenBefore, fenAfter, comments, commands, nags, variations: [[node...]] }]
+function parsePgnGame(pgnText) {
+  const Chess = getChess();
+  const { headers, movetext } = splitPgnSections(pgnText);
+  const root = new Chess();
+  if (headers.FEN) {
+    try {
+      root.load(headers.FEN);
+    } catch (err) {
+      throw new Error(`Invalid FEN header: ${err.message}`);
+    }
+  }
+  const startFen = root.fen();
+
+  const mainline = [];
+  let result = headers.Result || '*';
+  let pendingComments = [];
+  const stack = [{ line: mainline, chess: root, last: null }];
+
+  for (const token of tokenizeMovetext(movetext)) {
+    const ctx = stack[stack.length - 1];
+    if (token.type === 'comment') {
+      const text = extractCommands(token.value, ctx.last ? ctx.last.commands : {});
+      if (!text) continue;
+      if (ctx.last) ctx.last.comments.push(text);
+      else pendingComments.push(text);
+    } else if (token.type === 'nag') {
+      if (ctx.last && !ctx.last.nags.includes(token.value)) ctx.last.nags.push(token.value);
+    } else if (token.type === 'open') {
+      if (!ctx.last) throw new Error('Invalid PGN: variation before any move.');
+      const variation = [];
+      ctx.last.variations.push(variation);
+      stack.push({ line: variation, chess: new Chess(ctx.last.fenBefore), last: null });
+    } else if (token.type === 'close') {
+      if (stack.length > 1) stack.pop();
+    } else if (token.type === 'result') {
+      if (stack.length === 1) result = token.value;
+    } else {
+      const node = playPgnMove(ctx.chess, token.value);
+      node.comments.push(...pendingComments);
+      pendingComments = [];
+      ctx.line.push(node);
+      ctx.last = node;
+    }
+  }
+
+  if (mainline.length === 0) {
+    throw new Error('Invalid PGN: no moves found.');
+  }
+
+  return { headers, startFen, moves: mainline, result };
+}
+
+function playPgnMove(chess, san) {
+  const moveNumber = chess.moveNumber();
+  const mover = chess.turn();
+  const fenBefore = chess.fen();
+  let move = null;
+  try {
+    move = chess.move(san);
+  } catch (err) {
+    move = null;
+  }
+  if (!move) {
+    throw new Error(`Invalid move "${san}" at move ${moveNumber} (${mover === 'w' ? 'White' : 'Black'}).`);
+  }
+  return {
+    san: move.san,
+    uci: move.from + move.to + (move.promotion || ''),
+    move,
+    moveNumber,
+    mover,
+    fenBefore,
+    fenAfter: chess.fen(),
+    comments: [],
+    commands: {},
+    nags: [],
+    variations: []
+  };
+}
+
+// "[%eval 0.35]", "[%eval #-3]" or "[%eval 0.35,22]" (White's view, pawns,
+// optional depth) as a side-to-move score like StockfishEngine returns
+function parsePgnEval(value, sideToMove) {
+  const m = String(value || '').match(/^(#)?(-?\d+(?:\.\d+)?)(?:,(\d+))?$/);
+  if (!m) return null;
+  const sign = sideToMove === 'w' ? 1 : -1;
+  const number = parseFloat(m[2]);
+  return {
+    cp: m[1] ? null : Math.round(number * 100) * sign,
+    mate: m[1] ? Math.trunc(number) * sign : null,
+    pv: '',
+    bestMove: '',
+    lines: [],
+    depth: m[3] ? parseInt(m[3], 10) : null,
+    source: 'pgn'
+  };
+}
+
+// Embedded commands such as [%clk 0:04:59] or [%eval 0.17] are moved into
+// `commands` (name → raw value); whatever text is left is the real comment
+function extractCommands(comment, commands) {
+  return comment.replace(/\[%(\w+)\s+([^\]]*)\]/g, (match, name, value) => {
+    commands[name] = value.trim();
+    return '';
+  }).replace(/\s+/g, ' ').trim();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUZZLES
+// ═══════════════════════════════════════════════════════════════
+// A mistake becomes a puzzle when the engine's best move from that position
+// was clearly the only good one. The solution follows the engine's line for
+// as long as each of the solver's moves stays unique, checked with a fresh
+// two-line search per step; the opponent's replies are the engine's.
+
+const PUZZLE_LABELS = ['blunder', 'mistake', 'miss'];
+const PUZZLE_MIN_GAP = 20;  // win-chance points between the best and second-best move
+const PUZZLE_MAX_MOVES = 3; // solver moves in a solution
+
+// One move stands out: only one legal move, or the best line beats the
+// second by PUZZLE_MIN_GAP for the side to move
+function uniqueBestLine(score, side) {
+  const lines = (score && score.lines) || [];
+  if (!lines.length || !lines[0].pv) return null;
+  if (lines.length === 1) return lines[0];
+  const win = (line) => {
+    const white = winPercentFromEval(scoreToWhite(line, side));
+    return side === 'w' ? white : 100 - white;
+  };
+  return win(lines[0]) - win(lines[1]) >= PUZZLE_MIN_GAP ? lines[0] : null;
+}
+
+function playUci(chess, uci) {
+  try {
+    return chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci.length > 4 ? uci[4] : undefined });
+  } catch (err) {
+    return null;
+  }
+}
+
+// `entries` are the mainline moves of one analysis; `search` runs two-line
+// searches on a list of FENs through the engine pool
+async function generatePuzzles(entries, evalOf, search, headers, emit) {
+  const Chess = getChess();
+  const seen = new Set();
+  const candidates = [];
+  for (const entry of entries) {
+    if (!PUZZLE_LABELS.includes(entry.label) || seen.has(entry.fenBefore)) continue;
+    const score = evalOf(entry.fenBefore);
+    const side = entry.fenBefore.split(' ')[1];
+    // A forced first move is no puzzle
+    const best = score && score.lines && score.lines.length > 1 ? uniqueBestLine(score, side) : null;
+    if (!best) continue;
+    seen.add(entry.fenBefore);
+    candidates.push({ entry, side, best, solution: [], rest: best.pv.split(/\s+/), open: true });
+  }
+
+  // At most one search per candidate and round; progress jumps ahead when
+  // lines stop being unique early
+  const total = candidates.length * (PUZZLE_MAX_MOVES - 1);
+  let searched = 0;
+  if (candidates.length) emit('phase', { phase: 'puzzles', total });
+
+  // Each round plays the solver's move and the reply, then checks that the
+  // solver's next move is still unique
+  const chessOf = new Map(candidates.map((c) => [c, new Chess(c.entry.fenBefore)]));
+  for (let step = 0; step < PUZZLE_MAX_MOVES && candidates.some((c) => c.open); step += 1) {
+    const pending = [];
+    for (const c of candidates) {
+      if (!c.open) continue;
+      const chess = chessOf.get(c);
+      const [move, reply] = c.rest;
+      if (!move || !playUci(chess, move)) {
+        c.open = false;
+        continue;
+      }
+      c.solution.push(move);
+      if (step + 1 === PUZZLE_MAX_MOVES || !reply || chess.isGameOver() || !playUci(chess, reply)) {
+        c.open = false;
+        continue;
+      }
+      c.solution.push(reply);
+      pending.push(c);
+    }
+    if (!pending.length) break;
+
+    const scores = await search(pending.map((c) => chessOf.get(c).fen()), (current) => {
+      emit('puzzles', { current: searched + current, total });
+    });
+    searched += pending.length;
+    pending.forEach((c, i) => {
+      const next = uniqueBestLine(scores[i], c.side);
+      if (next) {
+        c.rest = next.pv.split(/\s+/);
+      } else {
+        // The reply stays only if the solver has a unique answer to it
+        c.solution.pop();
+        c.open = false;
+      }
+    });
+  }
+
+  return candidates.filter((c) => c.solution.length).map((c) => {
+    const { entry, side, best } = c;
+    const motif = (entry.motifs || []).find((m) => m.line === 'best');
+    return {
+      id: crypto.createHash('sha1').update(`${entry.fenBefore} ${c.solution.join(' ')}`).digest('hex').slice(0, 12),
+      fen: entry.fenBefore,
+      side: side === 'w' ? 'White' : 'Black',
+      solution: c.solution,
+      solutionSan: pvToSan(entry.fenBefore, c.solution.join(' ')),
+      motif: motif ? motif.type : null,
+      mateIn: typeof best.mate === 'number' && best.mate > 0 ? best.mate : null,
+      eval: formatEval(scoreToWhite(best, side)),
+      ply: entry.ply,
+      moveNumber: entry.moveNumber,
+      played: entry.san,
+      label: entry.label,
+      game: {
+        white: headers.White || null,
+        black: headers.Black || null,
+        event: headers.Event || null,
+        date: headers.Date || null
+      }
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PGN EXPORT
+// ═══════════════════════════════════════════════════════════════
+// A finished analysis written back out as PGN: the original headers, an
+// [%eval] (and [%clk]) comment on every move, NAGs from the labels, the
+// engine's line as a variation at each error and the coaching as comments.
+
+const LABEL_NAGS = { brilliant: 3, great: 1, inaccuracy: 6, mistake: 2, miss: 2, blunder: 4 };
+const SEVEN_TAG_ROSTER = { Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?', Result: '*' };
+const PGN_LINE_WIDTH = 80;
+
+async function handleExportPgn(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk.toString();
+    if (body.length > MAX_BODY_SIZE * 8) {
+      res.writeHead(413);
+      res.end();
+      req.destroy();
+    }
+  });
+
+  req.on('end', () => {
+    try {
+      const parsed = JSON.parse(body || '{}');
+      if (!Array.isArray(parsed.analysis) || !parsed.analysis.length) {
+        sendJson(res, 400, { error: 'analysis is required.' });
+        return;
+      }
+      const headers = parsed.pgn ? parsePgnGame(String(parsed.pgn)).headers : (parsed.headers || {});
+      const pgn = exportAnnotatedPgn(headers, parsed.analysis, parsed.summary || null);
+      const players = `${headers.White || 'White'}-${headers.Black || 'Black'}`.replace(/[^\w.-]+/g, '_');
+      res.writeHead(200, {
+        'Content-Type': 'application/x-chess-pgn; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${players}-annotated.pgn"`
+      });
+      res.end(pgn);
+    } catch (err) {
+      sendJson(res, 400, { error: err.message || 'Export failed.' });
+    }
+  });
+}
+
+function exportAnnotatedPgn(headers, analysis, summary) {
+  const Chess = getChess();
+  const tags = { ...SEVEN_TAG_ROSTER, ...headers };
+  if (!['1-0', '0-1', '1/2-1/2', '*'].includes(tags.Result)) tags.Result = '*';
+  const startFen = analysis[0].fenBefore;
+  if (startFen && positionKey(startFen) !== positionKey(new Chess().fen())) {
+    tags.SetUp = '1';
+    tags.FEN = startFen;
+  }
+  const engine = summary && summary.engine;
+  tags.Annotator = engine ? `Chessimus (${engine.id || engine.label}, depth ${engine.depth})` : 'Chessimus';
+
+  // The seven tag roster comes first, in its standard order
+  const names = [...Object.keys(SEVEN_TAG_ROSTER), ...Object.keys(tags).filter((name) => !(name in SEVEN_TAG_ROSTER))];
+  const tagLines = names.map((name) => `[${name} "${String(tags[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+
+  const tokens = [];
+  pushMoveTokens(tokens, analysis, true);
+  tokens.push(tags.Result);
+  return `${tagLines.join('\n')}\n\n${wrapPgnTokens(tokens)}\n`;
+}
+
+// Appends one line of entries; the mainline also gets the coaching and the
+// engine's line at each error, side lines just their evals and NAGs
+function pushMoveTokens(tokens, entries, mainline) {
+  let needsNumber = true;
+  for (const entry of entries) {
+    const white = entry.mover === 'White';
+    tokens.push(moveToken(entry.san, entry.moveNumber, white, needsNumber));
+    needsNumber = false;
+
+    const labelNag = LABEL_NAGS[entry.label];
+    // The label replaces the PGN's own move-quality NAG ($1-$6); others stay
+    const nags = (entry.nags || []).filter((nag) => !labelNag || nag > 6);
+    if (labelNag) nags.unshift(labelNag);
+    for (const nag of nags) tokens.push(`$${nag}`);
+
+    const comment = moveComment(entry, mainline);
+    if (comment.length) {
+      tokens.push('{', ...comment, '}');
+      needsNumber = true;
+    }
+
+    if (mainline && shouldExplain(entry.label) && entry.pv && entry.pv.length) {
+      tokens.push('(');
+      pushSanLine(tokens, entry.pv, entry.moveNumber, white);
+      tokens.push(')');
+      needsNumber = true;
+    }
+    for (const line of entry.variations || []) {
+      if (!line.length) continue;
+      tokens.push('(');
+      pushMoveTokens(tokens, line, false);
+      tokens.push(')');
+      needsNumber = true;
+    }
+  }
+}
+
+// Comment words for a move; [%eval] and [%clk] commands stay single tokens
+// so wrapping never splits them
+function moveComment(entry, mainline) {
+  const words = [];
+  const evalText = pgnEvalText(entry.evalAfter);
+  if (evalText) words.push(`[%eval ${evalText}]`);
+  if (entry.clock !== null && entry.clock !== undefined) words.push(`[%clk ${pgnClockText(entry.clock)}]`);
+  const text = [...(entry.comments || [])];
+  const exp = entry.explanation;
+  if (mainline && exp && exp.summary && exp.llm !== false) {
+    text.push(exp.summary);
+    if (exp.tip) text.push(exp.tip);
+  }
+  for (const part of text) {
+    words.push(...String(part).replace(/[{}]/g, '').split(/\s+/).filter(Boolean));
+  }
+  return words;
+}
+
+function pushSanLine(tokens, sans, moveNumber, whiteToMove) {
+  let number = moveNumber;
+  let white = whiteToMove;
+  sans.forEach((san, index) => {
+    tokens.push(moveToken(san, number, white, index === 0));
+    if (!white) number += 1;
+    white = !white;
+  });
+}
+
+// A move with its number attached so wrapping keeps them on one line
+function moveToken(san, moveNumber, white, numberBlack) {
+  if (white) return `${moveNumber}. ${san}`;
+  return numberBlack ? `${moveNumber}... ${san}` : san;
+}
+
+// "0.35" stays as is; "M3"/"M-3" become "#3"/"#-3"; a finished game has none
+function pgnEvalText(evalText) {
+  if (typeof evalText !== 'string' || !evalText) return '';
+  if (evalText[0] !== 'M') return evalText;
+  return evalText === 'M0' ? '' : `#${evalText.slice(1)}`;
+}
+
+function pgnClockText(seconds) {
+  const whole = Math.max(0, Math.round(seconds));
+  const h = Math.floor(whole / 3600);
+  const m = String(Math.floor((whole % 3600) / 60)).padStart(2, '0');
+  const s = String(whole % 60).padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+function wrapPgnTokens(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > PGN_LINE_WIDTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════
+// Evals are turned into win percentages with the same logistic curve and
+// accuracy formula Lichess uses, so our numbers line up with theirs.
+
+const CP_CEILING = 1000;
+
+function clampCp(cp) {
+  return Math.max(-CP_CEILING, Math.min(CP_CEILING, cp));
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function winPercentFromCp(cp) {
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * clampCp(cp))) - 1);
+}
+
+// White's win percentage for a White-relative eval from scoreToWhite()
+function winPercentFromEval(evalObj) {
+  if (evalObj.mate !== null) return evalObj.cpApprox > 0 ? 100 : 0;
+  return winPercentFromCp(evalObj.cp);
+}
+
+// Both arguments are the mover's win percentage before and after the move
+function moveAccuracy(winBefore, winAfter) {
+  if (winAfter >= winBefore) return 100;
+  const raw = 103.1668100711649 * Math.exp(-0.04354415386753951 * (winBefore - winAfter)) - 3.166924740191411;
+  return Math.max(0, Math.min(100, raw + 1));
+}
+
+// expectedLoss is in expected points (0-1) from the mover's point of view.
+// Thresholds match Lichess' 0.1/0.2/0.3 winning-chance drops.
+function labelFromExpectedLoss(expectedLoss) {
+  if (expectedLoss <= -0.03) return 'good';
+  if (expectedLoss >= 0.15) return 'blunder';
+  if (expectedLoss >= 0.10) return 'mistake';
+  if (expectedLoss >= 0.05) return 'inaccuracy';
+  return 'ok';
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+// Lichess game accuracy: volatility-weighted mean averaged with the harmonic
+// mean of the per-move accuracies, computed separately for each side.
+// `include` picks the moves that count (e.g. one game phase) while the
+// volatility weights still come from the whole game.
+function gameAccuracy(entries, include = () => true) {
+  const accuracies = { White: [], Black: [] };
+  if (!entries.length) return accuracies;
+
+  const wins = [entries[0].winBefore, ...entries.map((e) => e.winAfter)];
+  const windowSize = Math.max(2, Math.min(8, Math.floor(entries.length / 10)));
+  // Padding the front with windowSize - 2 copies of the first window leaves
+  // one window per move, as Lichess does
+  const windows = [];
+  for (let i = 0; i < windowSize - 2; i += 1) {
+    windows.push(wins.slice(0, windowSize));
+  }
+  for (let i = 0; i + windowSize <= wins.length; i += 1) {
+    windows.push(wins.slice(i, i + windowSize));
+  }
+
+  entries.forEach((entry, i) => {
+    if (!include(entry)) return;
+    const weight = Math.max(0.5, Math.min(12, standardDeviation(windows[i])));
+    accuracies[entry.mover].push({ accuracy: entry.accuracy, weight });
+  });
+
+  const combine = (items) => {
+    if (!items.length) return null;
+    const weightSum = items.reduce((sum, it) => sum + it.weight, 0);
+    const weighted = items.reduce((sum, it) => sum + it.accuracy * it.weight, 0) / weightSum;
+    const harmonic = items.length / items.reduce((sum, it) => sum + 1 / Math.max(it.accuracy, 1), 0);
+    return round1((weighted + harmonic) / 2);
+  };
+
+  return { White: combine(accuracies.White), Black: combine(accuracies.Black) };
+}
+
+function averageTimeSpent(moves) {
+  const spent = moves.map((e) => e.timeSpent).filter((t) => t !== null && t !== undefined);
+  return spent.length ? round1(spent.reduce((a, b) => a + b, 0) / spent.length) : null;
+}
+
+function summarizeGame(entries) {
+  const summary = summarizeSides(entries, gameAccuracy(entries));
+
+  // The same breakdown restricted to each phase the game reached
+  summary.phases = {};
+  for (const phase of GAME_PHASES) {
+    const inPhase = (e) => e.phase === phase;
+    const phaseEntries = entries.filter(inPhase);
+    if (!phaseEntries.length) continue;
+    const sides = summarizeSides(phaseEntries, gameAccuracy(entries, inPhase));
+    summary.phases[phase] = { white: phaseStats(sides.white), black: phaseStats(sides.black) };
+  }
+  summary.criticalMoments = findCriticalMoments(entries);
+  return summary;
+}
+
+const CRITICAL_MOMENTS_LIMIT = 5;
+const CRITICAL_SWING = 0.10;
+// A mate score followed by a big centipawn score is often just the search
+// horizon; a missed mate must also cost at least an inaccuracy
+const MISSED_MATE_MIN_LOSS = 0.05;
+const CRITICAL_TYPE_BONUS = { 'missed-mate': 0.5, 'thrown-away': 0.25, 'turning-point': 0 };
+
+// Where the game was decided: missed forced mates, winning positions thrown
+// away (70%+ to under 50%) and other swings of a mistake or worse, ranked by
+// how much they swung the game with missed mates and throw-aways first among
+// equals.
+function findCriticalMoments(entries) {
+  const moments = [];
+  for (const entry of entries) {
+    if (entry.label === 'book') continue;
+    const winBefore = entry.mover === 'White' ? entry.winBefore : 100 - entry.winBefore;
+    const winAfter = entry.mover === 'White' ? entry.winAfter : 100 - entry.winAfter;
+    const mateBefore = moverMate(entry.evalBefore, entry.mover);
+    const mateAfter = moverMate(entry.evalAfter, entry.mover);
+    const lostMate = mateBefore !== null && mateBefore > 0 && (mateAfter === null || mateAfter < 0);
+
+    let type = null;
+    if (lostMate && entry.san !== entry.bestMove && entry.expectedLoss >= MISSED_MATE_MIN_LOSS) type = 'missed-mate';
+    else if (winBefore >= 70 && winAfter < 50) type = 'thrown-away';
+    else if (entry.expectedLoss >= CRITICAL_SWING) type = 'turning-point';
+    if (!type) continue;
+
+    moments.push({
+      ply: entry.ply,
+      moveNumber: entry.moveNumber,
+      mover: entry.mover,
+      san: entry.san,
+      type,
+      label: entry.label,
+      swing: Math.round(Math.max(0, entry.expectedLoss) * 100),
+      winBefore: Math.round(winBefore),
+      winAfter: Math.round(winAfter),
+      evalBefore: entry.evalBefore,
+      evalAfter: entry.evalAfter,
+      bestMove: entry.bestMove,
+      mateIn: type === 'missed-mate' ? mateBefore : null
+    });
+  }
+
+  const weight = (m) => m.swing / 100 + CRITICAL_TYPE_BONUS[m.type];
+  return moments
+    .sort((a, b) => weight(b) - weight(a) || a.ply - b.ply)
+    .slice(0, CRITICAL_MOMENTS_LIMIT)
+    .map((m, index) => ({ rank: index + 1, ...m }));
+}
+
+// Mate distance from the mover's side for a formatted eval ("M3", "M-2"),
+// or null when the eval isn't a mate score. "M0" (game over) counts as the
+// mover's mate since only the mating side reaches it.
+function moverMate(evalText, mover) {
+  if (typeof evalText !== 'string' || evalText[0] !== 'M') return null;
+  const mate = parseInt(evalText.slice(1), 10);
+  if (mate === 0) return 0;
+  return mover === 'White' ? mate : -mate;
+}
+
+function phaseStats(side) {
+  const { moves, accuracy, acpl, blunders, mistakes, inaccuracies, misses } = side;
+  return { moves, accuracy, acpl, blunders, mistakes, inaccuracies, misses };
+}
+
+function summarizeSides(entries, accuracy) {
+  const side = (name) => {
+    const moves = entries.filter((e) => e.mover === name);
+    const count = (label) => moves.filter((e) => e.label === label).length;
+    const totalLoss = moves.reduce((sum, e) => sum + e.cpLoss, 0);
+    return {
+      moves: moves.length,
+      accuracy: accuracy[name],
+      acpl: moves.length ? Math.round(totalLoss / moves.length) : null,
+      blunders: count('blunder'),
+      mistakes: count('mistake'),
+      inaccuracies: count('inaccuracy'),
+      misses: count('miss'),
+      brilliant: count('brilliant'),
+      great: count('great'),
+      timeTroubleErrors: moves.filter((e) => (e.timeFlags || []).includes('time-trouble')).length,
+      longThinks: moves.filter((e) => (e.timeFlags || []).includes('long-think')).length,
+      avgTimeSpent: averageTimeSpent(moves)
+    };
+  };
+  return { white: side('White'), black: side('Black') };
+}
+
+// Extended labels layered on top of the expected-points buckets. Precedence:
+// brilliant > great > only > miss > base label. Book moves are decided by the
+// caller because they depend on the whole line so far.
+function classifyMove(facts) {
+  const base = labelFromExpectedLoss(facts.expectedLoss);
+  const keptEval = facts.expectedLoss <= 0.02;
+  const opponentErred = facts.opponentLoss >= 0.10;
+
+  // Tablebase outcomes overrule centipawns: giving up a result is a blunder,
+  // keeping it is never an error
+  if (facts.tablebase && facts.tablebase.drop > 0) return 'blunder';
+  if (facts.sacrifice && keptEval && facts.moverWinAfter >= 50 && facts.moverWinBefore <= 95) {
+    return 'brilliant';
+  }
+  if (opponentErred && facts.playedBest && keptEval) return 'great';
+  if (facts.playedBest && facts.secondBestLoss !== null && facts.secondBestLoss >= 0.15) return 'only';
+  if (facts.tablebase) return base === 'good' ? 'good' : 'ok';
+  if (opponentErred && facts.expectedLoss >= 0.10) return 'miss';
+  return base;
+}
+
+// How many expected points the engine's second line gives up versus its first
+function secondLineLoss(score, sideToMove) {
+  const lines = score.lines || [];
+  if (lines.length < 2) return null;
+  const moverWin = (line) => {
+    const win = winPercentFromEval(scoreToWhite(line, sideToMove));
+    return sideToMove === 'w' ? win : 100 - win;
+  };
+  return (moverWin(lines[0]) - moverWin(lines[1])) / 100;
+}
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+// A piece move that leaves at least two points of material en prise
+function isSacrifice(afterFen, move) {
+  const moved = PIECE_VALUES[move.promotion || move.piece];
+  if (moved < 3) return false;
+  const Chess = getChess();
+  const chess = new Chess(afterFen);
+  const captures = chess.moves({ verbose: true }).filter((m) => m.to === move.to);
+  if (!captures.length) return false;
+  const cheapest = Math.min(...captures.map((m) => PIECE_VALUES[m.piece]));
+  const defended = chess.attackers(move.to, move.color).length > 0;
+  const lost = defended ? moved - cheapest : moved;
+  const captured = move.captured ? PIECE_VALUES[move.captured] : 0;
+  return lost - captured >= 2;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// GAME PHASES
+// ═══════════════════════════════════════════════════════════════
+// Along the lines of Lichess' divider: the opening lasts while the game is in
+// book and the position still looks undeveloped; the middlegame starts once
+// queens/rooks/minors drop to 10, a back rank thins out, or move 15 passes;
+// the endgame once they drop to 6. Phases only move forward.
+
+const GAME_PHASES = ['opening', 'middlegame', 'endgame'];
+
+function phaseMaterial(fen) {
+  const board = fen.split(' ')[0];
+  const ranks = board.split('/');
+  return {
+    majorsAndMinors: (board.match(/[nbrqNBRQ]/g) || []).length,
+    backRankSparse: (ranks[7].match(/[A-Z]/g) || []).length < 4 || (ranks[0].match(/[a-z]/g) || []).length < 4
+  };
+}
+
+function nextGamePhase(previous, fen, inBook, moveNumber) {
+  const { majorsAndMinors, backRankSparse } = phaseMaterial(fen);
+  if (previous === 'endgame' || majorsAndMinors <= 6) return 'endgame';
+  if (previous === 'middlegame') return 'middlegame';
+  if (inBook) return 'opening';
+  if (majorsAndMinors <= 10 || backRankSparse || moveNumber > 15) return 'middlegame';
+  return 'opening';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TACTICAL MOTIFS
+// ═══════════════════════════════════════════════════════════════
+// Themes are only read off engine moves: the opponent's best reply to the
+// played move (what it allowed) and the engine's preferred move (what it
+// missed), so the coach never names a tactic the engine doesn't play.
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+const MOTIF_NAMES = {
+  hanging: 'hanging piece',
+  fork: 'fork',
+  pin: 'pin',
+  skewer: 'skewer',
+  'discovered-attack': 'discovered attack',
+  'back-rank': 'back-rank weakness',
+  'mate-threat': 'mate threat'
+};
+const FILES = 'abcdefgh';
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+function detectMotifs(node, before, after) {
+  const motifs = [];
+  const refutation = firstPvMove(after.pv);
+  if (refutation) {
+    for (const motif of moveMotifs(node.fenAfter, refutation)) motifs.push({ line: 'refutation', ...motif });
+  }
+  if (typeof after.mate === 'number' && after.mate > 0 && !motifs.some((m) => m.type === 'mate-threat')) {
+    motifs.push({ line: 'refutation', type: 'mate-threat', text: `the opponent has a forced mate in ${after.mate}` });
+  }
+  if (before.bestMove && before.bestMove !== node.uci) {
+    for (const motif of moveMotifs(node.fenBefore, before.bestMove)) motifs.push({ line: 'best', ...motif });
+    if (typeof before.mate === 'number' && before.mate > 0 && !motifs.some((m) => m.line === 'best' && m.type === 'mate-threat')) {
+      motifs.push({ line: 'best', type: 'mate-threat', text: `${uciToSan(node.fenBefore, before.bestMove)} starts a forced mate in ${before.mate}` });
+    }
+  }
+  return motifs;
+}
+
+function firstPvMove(pv) {
+  return pv ? pv.trim().split(/\s+/)[0] || null : null;
+}
+
+// Themes created by one move: what it captures, forks, pins, skewers or
+// uncovers, and any mate it threatens next
+function moveMotifs(fen, uci) {
+  const Chess = getChess();
+  const chess = new Chess(fen);
+  let move;
+  try {
+    move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci.length > 4 ? uci[4] : undefined });
+  } catch (err) {
+    return [];
+  }
+  const us = move.color;
+  const them = us === 'w' ? 'b' : 'w';
+  const piece = chess.get(move.to);
+  const motifs = [];
+
+  if (move.captured && PIECE_VALUES[move.captured] >= 3 && chess.attackers(move.to, them).length === 0) {
+    motifs.push({ type: 'hanging', text: `${move.san} wins the undefended ${PIECE_NAMES[move.captured]} on ${move.to}` });
+  }
+
+  const forked = enemyPieces(chess, them).filter((target) => (
+    chess.attackers(target.square, us).includes(move.to) && isForkTarget(chess, target, piece, them)
+  ));
+  if (forked.length >= 2) {
+    motifs.push({ type: 'fork', text: `${move.san} forks ${forked.map(describePiece).join(' and ')}` });
+  }
+
+  for (const dir of sliderDirections(piece.type)) {
+    const [front, back] = rayPieces(chess, move.to, dir);
+    if (!front || !back || front.color !== them || back.color !== them) continue;
+    if (PIECE_VALUES[front.type] >= 3 && (back.type === 'k' || PIECE_VALUES[back.type] > PIECE_VALUES[front.type])) {
+      motifs.push({ type: 'pin', text: `${move.san} pins ${describePiece(front)} to ${describePiece(back)}` });
+    } else if ((front.type === 'k' || PIECE_VALUES[front.type] > PIECE_VALUES[back.type]) && PIECE_VALUES[back.type] >= 3) {
+      motifs.push({ type: 'skewer', text: `${move.san} skewers ${describePiece(front)} and ${describePiece(back)}` });
+    }
+  }
+
+  const discovered = discoveredTargets(new Chess(fen), chess, move);
+  if (discovered.length) {
+    const { slider, target } = discovered[0];
+    motifs.push({ type: 'discovered-attack', text: `${move.san} uncovers an attack by ${describePiece(slider)} on ${describePiece(target)}` });
+  }
+
+  if (chess.inCheck() && (piece.type === 'r' || piece.type === 'q') && isBackRankCheck(chess, move.to, them)) {
+    motifs.push({ type: 'back-rank', text: `${move.san} ${chess.isCheckmate() ? 'mates' : 'checks'} on the back rank, where the king has no escape square` });
+  }
+
+  if (!chess.inCheck()) {
+    const mate = mateInOneThreat(chess.fen());
+    if (mate) motifs.push({ type: 'mate-threat', text: `${move.san} threatens ${mate.replace('#', '')} mate` });
+  }
+
+  return motifs;
+}
+
+function enemyPieces(chess, color) {
+  const pieces = [];
+  for (const row of chess.board()) {
+    for (const cell of row) {
+      if (cell && cell.color === color && (cell.type === 'k' || PIECE_VALUES[cell.type] >= 3)) pieces.push(cell);
+    }
+  }
+  return pieces;
+}
+
+// Worth attacking: the king, anything worth more than the attacker, or
+// anything undefended (for forks and discovered attacks)
+function isForkTarget(chess, target, attacker, owner) {
+  if (target.type === 'k') return true;
+  if (attacker.type === 'k') return chess.attackers(target.square, owner).length === 0;
+  return PIECE_VALUES[target.type] > PIECE_VALUES[attacker.type] || chess.attackers(target.square, owner).length === 0;
+}
+
+function sliderDirections(type) {
+  if (type === 'r') return ROOK_DIRECTIONS;
+  if (type === 'b') return BISHOP_DIRECTIONS;
+  if (type === 'q') return ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS);
+  return [];
+}
+
+// The first two pieces met walking from `square` in one direction
+function rayPieces(chess, square, [df, dr]) {
+  const hits = [];
+  let file = FILES.indexOf(square[0]) + df;
+  let rank = Number(square[1]) + dr;
+  while (file >= 0 && file < 8 && rank >= 1 && rank <= 8 && hits.length < 2) {
+    const target = FILES[file] + rank;
+    const piece = chess.get(target);
+    if (piece) hits.push({ square: target, ...piece });
+    file += df;
+    rank += dr;
+  }
+  return hits;
+}
+
+// Sliders of the mover that now see an enemy king or piece through the
+// square the moved piece left
+function discoveredTargets(beforeChess, afterChess, move) {
+  const found = [];
+  if (move.flags.includes('k') || move.flags.includes('q')) return found;
+  for (const row of afterChess.board()) {
+    for (const cell of row) {
+      if (!cell || cell.color !== move.color || cell.square === move.to) continue;
+      for (const dir of sliderDirections(cell.type)) {
+        const [was] = rayPieces(beforeChess, cell.square, dir);
+        const [now] = rayPieces(afterChess, cell.square, dir);
+        if (!was || was.square !== move.from || !now || now.color === move.color) continue;
+        if (PIECE_VALUES[now.type] >= 3 || now.type === 'k') {
+          if (isForkTarget(afterChess, now, cell, now.color)) found.push({ slider: cell, target: now });
+        }
+      }
+    }
+  }
+  return found;
+}
+
+// A check along the king's own back rank with every square in front of the
+// king blocked by its own pieces
+function isBackRankCheck(chess, checkSquare, defender) {
+  const backRank = defender === 'w' ? '1' : '8';
+  if (checkSquare[1] !== backRank) return false;
+  const king = enemyPieces(chess, defender).find((p) => p.type === 'k');
+  if (!king || king.square[1] !== backRank) return false;
+  const forward = defender === 'w' ? 2 : 7;
+  const file = FILES.indexOf(king.square[0]);
+  for (let f = Math.max(0, file - 1); f <= Math.min(7, file + 1); f += 1) {
+    const piece = chess.get(FILES[f] + forward);
+    if (!piece || piece.color !== defender) return false;
+  }
+  return true;
 }
 
-async function analyzeGame(pgn, onProgress) {
-  const emit = onProgress || (() => {});
+// Hands the move back to the side that just moved and looks for a mate in
+// one; returns its SAN or null
+function mateInOneThreat(fen) {
   const Chess = getChess();
-  const chess = loadGameFromPgn(pgn);
-  const moves = chess.history({ verbose: true });
-  const trimmedMoves = moves.slice(0, MAX_MOVES);
-  log('info', 'Analysis start', { totalMoves: moves.length, maxMoves: MAX_MOVES });
+  const nullFen = nullMoveFen(fen);
+  if (!nullFen) return null;
+  const chess = new Chess(nullFen);
+  for (const san of chess.moves()) {
+    chess.move(san);
+    const mate = chess.isCheckmate();
+    chess.undo();
+    if (mate) return san;
+  }
+  return null;
+}
+
+function describePiece(piece) {
+  return `the ${PIECE_NAMES[piece.type]} on ${piece.square}`;
+}
 
-  emit('phase', { phase: 'stockfish', total: trimmedMoves.length + 1 });
+// ═══════════════════════════════════════════════════════════════
+// OPPONENT THREATS
+// ═══════════════════════════════════════════════════════════════
+// What the opponent threatens in a position: the engine's best move if the
+// side to move could pass. It only counts when passing would walk into a
+// forced mate, or cost the side to move THREAT_MIN_SWING points of win chance
+// with a forcing move (so losing a tempo in a sharp position is not a threat).
 
-  // Phase 1: Stockfish — evaluate each position ONCE and cache results
-  const engine = new StockfishEngine(STOCKFISH_PATH);
-  await engine.init();
+const THREAT_MIN_SWING = 10;
+
+// The same position with the other side to move, or null when the side to
+// move is in check (passing would leave its king en prise)
+function nullMoveFen(fen) {
+  const Chess = getChess();
+  if (new Chess(fen).inCheck()) return null;
+  const fields = fen.split(' ');
+  fields[1] = fields[1] === 'w' ? 'b' : 'w';
+  fields[3] = '-';
+  try {
+    return new Chess(fields.join(' ')).fen();
+  } catch (err) {
+    return null;
+  }
+}
 
-  const game = new Chess();
-  const evals = [];
+// `current` is the search of `fen`, `passed` the search of its null-move
+// position; both are from their own side to move's point of view
+function findThreat(fen, current, passed) {
+  if (!current || !passed || !passed.bestMove) return null;
+  const side = fen.split(' ')[1];
+  const opponent = side === 'w' ? 'b' : 'w';
+  const nullFen = nullMoveFen(fen);
+  const passedWhite = scoreToWhite(passed, opponent);
+
+  const winNow = winPercentFromEval(scoreToWhite(current, side));
+  const winPassed = winPercentFromEval(passedWhite);
+  const swing = side === 'w' ? winNow - winPassed : winPassed - winNow;
+  const mateIn = typeof passed.mate === 'number' && passed.mate > 0 ? passed.mate : null;
+  if (!mateIn && (swing < THREAT_MIN_SWING || !isForcingMove(nullFen, passed.bestMove))) return null;
 
-  evals.push(await engine.analyze(game.fen(), STOCKFISH_DEPTH));
-  emit('stockfish', { current: 1, total: trimmedMoves.length + 1 });
+  return {
+    move: uciToSan(nullFen, passed.bestMove),
+    uci: passed.bestMove,
+    line: pvToSan(nullFen, passed.pv),
+    eval: formatEval(passedWhite),
+    mateIn
+  };
+}
 
-  for (let i = 0; i < trimmedMoves.length; i += 1) {
-    const moveApplied = game.move(trimmedMoves[i]);
-    if (!moveApplied) break;
-    evals.push(await engine.analyze(game.fen(), STOCKFISH_DEPTH));
-    emit('stockfish', { current: i + 2, total: trimmedMoves.length + 1 });
+// Captures, checks, promotions, and moves attacking a piece worth more than
+// the mover or left undefended
+function isForcingMove(fen, uci) {
+  const Chess = getChess();
+  const chess = new Chess(fen);
+  let move;
+  try {
+    move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci.length > 4 ? uci[4] : undefined });
+  } catch (err) {
+    return false;
   }
+  if (move.captured || move.promotion || chess.inCheck()) return true;
+  const attacker = { type: move.piece, color: move.color, square: move.to };
+  const opponent = move.color === 'w' ? 'b' : 'w';
+  return enemyPieces(chess, opponent).some((target) => target.type !== 'k' &&
+    chess.attackers(target.square, move.color).includes(move.to) &&
+    isForkTarget(chess, target, attacker, opponent));
+}
 
-  await engine.quit();
-  log('info', 'Stockfish done', { positions: evals.length });
+function formatThreat(threat) {
+  if (!threat) return 'none';
+  const detail = threat.mateIn ? `mate in ${threat.mateIn}` : `line ${threat.line.join(' ')}`;
+  const outcome = threat.ignored
+    ? 'the played move ignored it and the opponent can now carry it out'
+    : 'the played move dealt with it';
+  return `${threat.move} (${detail}); ${outcome}`;
+}
 
-  // Phase 2: Build move data and emit each move as it's ready
-  const result = [];
-  const coachQueue = [];
+function threatSentence(threat) {
+  if (!threat || !threat.ignored) return '';
+  return `It ignored the threat of ${threat.move}${threat.mateIn ? ` (mate in ${threat.mateIn})` : ''}.`;
+}
 
-  const replay = new Chess();
-  for (let i = 0; i < trimmedMoves.length; i += 1) {
-    const move = trimmedMoves[i];
-    const mover = replay.turn();
-    const beforeFen = replay.fen();
-
-    const before = evals[i];
-    const moveApplied = replay.move(move);
-    if (!moveApplied) break;
-    const after = evals[i + 1];
-
-    const beforeEval = scoreToWhite(before, mover);
-    const afterEval = scoreToWhite(after, replay.turn());
-
-    const moverBefore = mover === 'w' ? beforeEval.cpApprox : -beforeEval.cpApprox;
-    const moverAfter = mover === 'w' ? afterEval.cpApprox : -afterEval.cpApprox;
-    const delta = moverAfter - moverBefore;
-
-    const label = labelFromDelta(delta);
-    const bestMoveSan = uciToSan(beforeFen, before.bestMove);
-    const pvSan = pvToSan(beforeFen, before.pv);
-
-    const entry = {
-      ply: i + 1,
-      moveNumber: Math.floor(i / 2) + 1,
-      mover: mover === 'w' ? 'White' : 'Black',
-      san: move.san,
-      uci: move.from + move.to + (move.promotion || ''),
-      evalBefore: formatEval(beforeEval),
-      evalAfter: formatEval(afterEval),
-      deltaCp: Math.round(delta),
-      label,
-      bestMove: bestMoveSan,
-      pv: pvSan,
-      explanation: null
-    };
+// ═══════════════════════════════════════════════════════════════
+// SYZYGY TABLEBASES
+// ═══════════════════════════════════════════════════════════════
+// Positions with few enough pieces and no castling rights are probed with the
+// `fathom` command-line tool against SYZYGY_PATH. Results are from the side
+// to move's point of view; DTZ counts plies to the next capture or pawn move.
+
+const TB_OUTCOMES = { Win: 'win', CursedWin: 'cursed-win', Draw: 'draw', BlessedLoss: 'blessed-loss', Loss: 'loss' };
+const TB_INVERSE = { win: 'loss', 'cursed-win': 'blessed-loss', draw: 'draw', 'blessed-loss': 'cursed-win', loss: 'win' };
+// Cursed wins and blessed losses are draws under the 50-move rule
+const TB_PRACTICAL = { win: 1, 'cursed-win': 0, draw: 0, 'blessed-loss': 0, loss: -1 };
+const TB_PROBE_TIMEOUT_MS = 5000;
+let loggedFathomError = false;
+
+function isTablebasePosition(fen) {
+  if (!SYZYGY_PATH) return false;
+  const [board, , castling] = fen.split(' ');
+  if (castling !== '-') return false;
+  return (board.match(/[a-z]/gi) || []).length <= SYZYGY_MAX_PIECES;
+}
 
-    // Emit each move with its eval data immediately
-    emit('move', entry);
+async function probeTablebases(fens, signal) {
+  const results = new Map();
+  for (const fen of fens) {
+    if (!isTablebasePosition(fen)) continue;
+    const result = await probeTablebase(fen, signal);
+    if (result) results.set(fen, result);
+  }
+  return results;
+}
 
-    if (shouldExplain(label)) {
-      coachQueue.push({
-        index: result.length,
-        facts: {
-          move: move.san,
-          sideToMove: entry.mover,
-          fen: beforeFen,
-          evalBefore: entry.evalBefore,
-          evalAfter: entry.evalAfter,
-          deltaCp: entry.deltaCp,
-          label,
-          bestMove: bestMoveSan || before.bestMove || 'unknown',
-          pvLine: pvSan.join(' ')
+// Finished games are answered without a probe; anything fathom can't answer
+// (missing tables, tool not installed) is null
+function probeTablebase(fen, signal) {
+  const Chess = getChess();
+  const chess = new Chess(fen);
+  if (chess.isCheckmate()) return Promise.resolve({ wdl: 'loss', dtz: 0 });
+  if (chess.isStalemate() || chess.isInsufficientMaterial()) return Promise.resolve({ wdl: 'draw', dtz: 0 });
+
+  return new Promise((resolve, reject) => {
+    execFile(FATHOM_PATH, [`--path=${SYZYGY_PATH}`, fen], { timeout: TB_PROBE_TIMEOUT_MS, signal: signal || undefined }, (err, stdout) => {
+      if (err && isAbortError(err)) {
+        reject(abortError());
+        return;
+      }
+      if (err) {
+        if (!loggedFathomError) {
+          loggedFathomError = true;
+          log('warn', 'Tablebase probe failed', { error: err.message, path: FATHOM_PATH });
         }
-      });
-    }
+        resolve(null);
+        return;
+      }
+      resolve(parseFathomOutput(stdout));
+    });
+  });
+}
 
-    result.push(entry);
-  }
+function parseFathomOutput(text) {
+  const wdl = /\[WDL "(\w+)"\]/.exec(text);
+  if (!wdl || !TB_OUTCOMES[wdl[1]]) return null;
+  const dtz = /\[DTZ "(-?\d+)"\]/.exec(text);
+  return { wdl: TB_OUTCOMES[wdl[1]], dtz: dtz ? Math.abs(parseInt(dtz[1], 10)) : null };
+}
 
-  // Phase 3: Gemini coaching — run in parallel batches, emit each as done
-  log('info', 'Coaching start', { movesToExplain: coachQueue.length });
-  emit('phase', { phase: 'coaching', total: coachQueue.length });
+// The outcome before and after a move, both for the mover
+function tablebaseChange(before, after) {
+  const afterForMover = TB_INVERSE[after.wdl];
+  return {
+    before: before.wdl,
+    after: afterForMover,
+    dtz: after.dtz,
+    drop: TB_PRACTICAL[before.wdl] - TB_PRACTICAL[afterForMover]
+  };
+}
 
-  const BATCH_SIZE = 10;
-  let coachDone = 0;
-  for (let b = 0; b < coachQueue.length; b += BATCH_SIZE) {
-    const batch = coachQueue.slice(b, b + BATCH_SIZE);
-    const explanations = await Promise.all(
-      batch.map((item) => generateExplanation(item.facts))
-    );
-    for (let j = 0; j < batch.length; j++) {
-      result[batch[j].index].explanation = explanations[j];
-      coachDone++;
-      emit('coach', {
-        ply: result[batch[j].index].ply,
-        explanation: explanations[j],
-        current: coachDone,
-        total: coachQueue.length
-      });
-    }
-  }
+// ═══════════════════════════════════════════════════════════════
+// CLOCK TIMES
+// ═══════════════════════════════════════════════════════════════
+// Lichess and Chess.com exports carry the mover's remaining time after each
+// move as {[%clk H:MM:SS]}. Time spent is the drop from that side's previous
+// clock plus the increment from the TimeControl header ("300+3").
+
+const TIME_TROUBLE_DEFAULT_SEC = 30;
+const LONG_THINK_MIN_SEC = 15;
+
+function parseClock(value) {
+  if (!value) return null;
+  const parts = String(value).split(':').map(Number);
+  if (!parts.length || parts.some((n) => Number.isNaN(n))) return null;
+  return parts.reduce((total, n) => total * 60 + n, 0);
+}
 
-  emit('done', { totalMoves: result.length, explained: coachQueue.length });
-  log('info', 'Analysis complete', { analyzedMoves: result.length, explained: coachQueue.length });
-  return result;
+function formatClock(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  const whole = Math.max(0, Math.round(seconds));
+  const h = Math.floor(whole / 3600);
+  const m = Math.floor((whole % 3600) / 60);
+  const s = String(whole % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
 }
 
-function loadGameFromPgn(pgnText) {
-  const Chess = getChess();
-  const chess = new Chess();
-  let loaded = false;
-  try {
-    const result = chess.loadPgn(pgnText, { sloppy: true });
-    if (result !== false && chess.history().length > 0) {
-      loaded = true;
-    }
-  } catch (err) {
-    loaded = false;
-  }
+function parseTimeControl(value) {
+  const m = String(value || '').match(/^(\d+)(?:\+(\d+(?:\.\d+)?))?$/);
+  if (!m) return null;
+  return { base: parseInt(m[1], 10), increment: m[2] ? parseFloat(m[2]) : 0 };
+}
 
-  if (loaded) return chess;
+// Per mainline node: { clock, clockBefore, timeSpent } or null without a %clk
+function clockTimes(nodes, timeControl) {
+  const start = timeControl ? timeControl.base : null;
+  const last = { w: start, b: start };
+  const increment = timeControl ? timeControl.increment : 0;
+  return nodes.map((node, i) => {
+    const clock = parseClock(node.commands.clk);
+    const before = last[node.mover];
+    last[node.mover] = clock;
+    if (clock === null) return null;
+    // No increment is added for a side's first move
+    const bonus = i < 2 ? 0 : increment;
+    return {
+      clock,
+      clockBefore: before,
+      timeSpent: before === null ? null : Math.max(0, round1(before - clock + bonus))
+    };
+  });
+}
 
-  chess.reset();
-  const tokens = tokenizePgn(pgnText);
-  let ply = 0;
-  for (const token of tokens) {
-    const cleaned = stripAnnotations(token);
-    if (!cleaned || isResultToken(cleaned)) {
-      continue;
-    }
-    const move = chess.move(cleaned, { sloppy: true });
-    if (!move) {
-      const moveNumber = Math.floor(ply / 2) + 1;
-      const side = ply % 2 === 0 ? 'White' : 'Black';
-      throw new Error(`Invalid move "${token}" at move ${moveNumber} (${side}).`);
-    }
-    ply += 1;
-  }
+// Thresholds for one game: "time trouble" is under a tenth of the base time
+// (10-60s), a "long think" is three times the side's average and at least 15s
+function clockThresholds(nodes, clocks, timeControl) {
+  const trouble = timeControl
+    ? Math.max(10, Math.min(60, timeControl.base * 0.1))
+    : TIME_TROUBLE_DEFAULT_SEC;
+  const totals = { w: { sum: 0, count: 0 }, b: { sum: 0, count: 0 } };
+  clocks.forEach((c, i) => {
+    if (!c || c.timeSpent === null) return;
+    totals[nodes[i].mover].sum += c.timeSpent;
+    totals[nodes[i].mover].count += 1;
+  });
+  const longThink = (mover) => {
+    const t = totals[mover];
+    return Math.max(LONG_THINK_MIN_SEC, t.count ? (t.sum / t.count) * 3 : 0);
+  };
+  return { trouble, longThink: { w: longThink('w'), b: longThink('b') } };
+}
 
-  if (ply === 0) {
-    throw new Error('Invalid PGN: no moves found.');
+// 'time-trouble': an error made with the clock below the threshold.
+// 'long-think': a lot of time spent where the move was easy to find.
+function timeFlags(label, clock, mover, thresholds, easy) {
+  const flags = [];
+  if (!clock) return flags;
+  const before = clock.clockBefore !== null ? clock.clockBefore : clock.clock;
+  const isError = label === 'blunder' || label === 'mistake' || label === 'miss';
+  if (isError && before < thresholds.trouble) flags.push('time-trouble');
+  if (easy && clock.timeSpent !== null && clock.timeSpent >= thresholds.longThink[mover]) {
+    flags.push('long-think');
   }
+  return flags;
+}
 
-  return chess;
+// An easy position needs little thought: a forced reply, a recapture, or a
+// game that is already decided either way
+function isEasyPosition(node, previousNode, moverWinBefore) {
+  if (moverWinBefore >= 97 || moverWinBefore <= 3) return true;
+  if (previousNode && previousNode.move.captured && node.move.captured && node.move.to === previousNode.move.to) {
+    return true;
+  }
+  const Chess = getChess();
+  return new Chess(node.fenBefore).moves().length <= 2;
 }
 
-function tokenizePgn(pgnText) {
-  const lines = pgnText
-    .replace(/\r\n/g, '\n')
-    .split('\n')
-    .filter((line) => !line.trim().startsWith('['));
+// ═══════════════════════════════════════════════════════════════
+// OPENING BOOK
+// ═══════════════════════════════════════════════════════════════
+// Every position reached along a line in public/openings.json. Built once on
+// first use; a game stays "in book" while each position it reaches is here.
 
-  const withoutHeaders = lines.join(' ');
-  const stripped = withoutHeaders
-    .replace(/\{[^}]*\}/g, ' ')
-    .replace(/;[^\n]*/g, ' ')
-    .replace(/\([^)]*\)/g, ' ')
-    .replace(/\d+\.\.\./g, ' ')
-    .replace(/\d+\./g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+let bookPositions = null;
 
-  if (!stripped) return [];
-  return stripped.split(' ');
+function positionKey(fen) {
+  return fen.split(' ').slice(0, 4).join(' ');
 }
 
-function stripAnnotations(token) {
-  return token.replace(/[!?]+$/g, '');
+function getBookPositions() {
+  if (bookPositions) return bookPositions;
+  bookPositions = new Set();
+  let openings = [];
+  try {
+    openings = JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, 'openings.json'), 'utf8'));
+  } catch (err) {
+    log('warn', 'Opening book unavailable', { error: err.message });
+    return bookPositions;
+  }
+
+  const Chess = getChess();
+  for (const opening of openings) {
+    const chess = new Chess();
+    const tokens = tokenizeMovetext(opening.pgn || '').filter((t) => t.type === 'move');
+    for (const token of tokens) {
+      try {
+        chess.move(token.value);
+      } catch (err) {
+        break;
+      }
+      bookPositions.add(positionKey(chess.fen()));
+    }
+  }
+  log('info', 'Opening book loaded', { openings: openings.length, positions: bookPositions.size });
+  return bookPositions;
 }
 
-function isResultToken(token) {
-  return token === '1-0' || token === '0-1' || token === '1/2-1/2' || token === '*';
+function normalizeMultiPv(value) {
+  const parsed = parseInt(value, 10);
+  const lines = Number.isNaN(parsed) ? STOCKFISH_MULTIPV : parsed;
+  return Math.max(1, Math.min(MAX_MULTIPV, lines || 1));
 }
 
-function labelFromDelta(delta) {
-  if (delta >= 30) return 'good';
-  if (delta <= -300) return 'blunder';
-  if (delta <= -150) return 'mistake';
-  if (delta <= -50) return 'inaccuracy';
-  return 'ok';
+// Ranked engine lines for a position, converted to SAN with White-relative evals.
+function buildAlternatives(fen, score, sideToMove) {
+  const lines = score.lines || [];
+  return lines.map((line, index) => {
+    const pv = pvToSan(fen, line.pv);
+    const white = scoreToWhite(line, sideToMove);
+    return {
+      rank: index + 1,
+      move: pv[0] || '',
+      uci: line.pv ? line.pv.split(/\s+/)[0] : '',
+      eval: formatEval(white),
+      win: round1(winPercentFromEval(white)),
+      depth: line.depth,
+      pv
+    };
+  });
 }
 
 function shouldExplain(label) {
-  return label === 'inaccuracy' || label === 'mistake' || label === 'blunder';
+  return label === 'inaccuracy' || label === 'mistake' || label === 'blunder' || label === 'miss';
 }
 
 function scoreToWhite(score, sideToMove) {
   if (score.mate !== null && typeof score.mate === 'number') {
     const mateWhite = sideToMove === 'w' ? score.mate : -score.mate;
-    const cpApprox = mateWhite > 0 ? 10000 : -10000;
+    // "mate 0" means the side to move is already checkmated
+    const whiteWins = score.mate === 0 ? sideToMove === 'b' : mateWhite > 0;
+    const cpApprox = whiteWins ? 10000 : -10000;
     return { cp: null, mate: mateWhite, cpApprox };
   }
 
@@ -1361,14 +3439,201 @@ function pvToSan(fen, pv) {
   return san;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// ENGINE REGISTRY
+// ═══════════════════════════════════════════════════════════════
+// Named UCI engines from the JSON file at ENGINES_CONFIG (see
+// engines.example.json). Each has a path, a label and UCI `options` set when
+// its processes start; Threads and Hash there become that engine's defaults.
+// Without a config there is one engine, "stockfish", at STOCKFISH_PATH.
+
+const DEFAULT_ENGINE_NAME = 'stockfish';
+let engineRegistry = null;
+
+function getEngineRegistry() {
+  if (engineRegistry) return engineRegistry;
+  const engines = new Map();
+  if (!ENGINES_CONFIG) {
+    engines.set(DEFAULT_ENGINE_NAME, { name: DEFAULT_ENGINE_NAME, label: 'Stockfish', path: STOCKFISH_PATH, options: {} });
+    engineRegistry = { defaultName: DEFAULT_ENGINE_NAME, engines };
+    return engineRegistry;
+  }
+
+  const config = JSON.parse(fs.readFileSync(ENGINES_CONFIG, 'utf8'));
+  for (const [name, entry] of Object.entries(config.engines || {})) {
+    if (!entry || typeof entry.path !== 'string' || !entry.path) {
+      throw new Error(`Engine "${name}" in ${ENGINES_CONFIG} has no path.`);
+    }
+    engines.set(name, { name, label: entry.label || name, path: entry.path, options: entry.options || {} });
+  }
+  const defaultName = config.default || [...engines.keys()][0];
+  if (!engines.has(defaultName)) {
+    throw new Error(`${ENGINES_CONFIG} has no engine named "${defaultName}" to use as the default.`);
+  }
+  engineRegistry = { defaultName, engines };
+  log('info', 'Engine registry loaded', { engines: [...engines.keys()], default: defaultName });
+  return engineRegistry;
+}
+
+// The named engine, or the default one when no name is given; null if unknown
+function getEngineDefinition(name) {
+  const registry = getEngineRegistry();
+  return registry.engines.get(name || registry.defaultName) || null;
+}
+
+async function handleListEngines(req, res) {
+  try {
+    const registry = getEngineRegistry();
+    sendJson(res, 200, {
+      default: registry.defaultName,
+      engines: [...registry.engines.values()].map(({ name, label }) => ({ name, label }))
+    });
+  } catch (err) {
+    sendJson(res, 500, { error: err.message });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE SETTINGS
+// ═══════════════════════════════════════════════════════════════
+// Search settings come from the environment and can be overridden per
+// request as `engine: { name, threads, hash, depth, movetime, nodes }`, or
+// just `engine: "<name>"` to pick a registry engine. Threads and Hash are
+// checked against the ranges the engine advertises in its `uci` handshake;
+// movetime and nodes of 0 mean no limit.
+
+const MAX_SEARCH_DEPTH = 40;
+const MAX_MOVETIME_MS = 60 * 1000;
+const ENGINE_MAX_RETRIES = 2;
+const ENGINE_RESYNC_TIMEOUT_MS = 5000;
+const MAX_SEARCH_NODES = 1e9;
+
+function defaultEngineSettings(definition = getEngineDefinition()) {
+  const options = definition.options;
+  return {
+    name: definition.name,
+    threads: options.Threads !== undefined ? options.Threads : STOCKFISH_THREADS,
+    hash: options.Hash !== undefined ? options.Hash : STOCKFISH_HASH,
+    depth: STOCKFISH_DEPTH,
+    movetime: STOCKFISH_MOVETIME,
+    nodes: STOCKFISH_NODES
+  };
+}
+
+// Allowed [min, max] for each setting; threads are also capped at the
+// machine's core count and hash at half its memory
+function engineSettingBounds(info) {
+  const spin = (name) => info.options.find((o) => o.name.toLowerCase() === name.toLowerCase() && o.type === 'spin');
+  const threads = spin('Threads');
+  const hash = spin('Hash');
+  // Every process in the pool gets these settings, so the cores and half of
+  // the memory are shared between them
+  const maxThreads = Math.floor(os.cpus().length / STOCKFISH_POOL_SIZE);
+  const maxHash = Math.floor(os.totalmem() / 2 / 1024 / 1024 / STOCKFISH_POOL_SIZE);
+  return {
+    threads: threads ? [threads.min, Math.max(threads.min, Math.min(threads.max, maxThreads))] : null,
+    hash: hash ? [hash.min, Math.max(hash.min, Math.min(hash.max, maxHash))] : null,
+    depth: [1, MAX_SEARCH_DEPTH],
+    movetime: [0, MAX_MOVETIME_MS],
+    nodes: [0, MAX_SEARCH_NODES]
+  };
+}
+
+// Resolves to { settings } or { error, status } for the request to send back
+async function resolveEngineSettings(requested) {
+  const spec = typeof requested === 'string' ? { name: requested } : requested;
+  if (spec === undefined || spec === null) return { settings: defaultEngineSettings() };
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    return { error: 'engine must be an engine name or an object.', status: 400 };
+  }
+  const { name, ...overrides } = spec;
+  const definition = getEngineDefinition(name);
+  if (!definition) return { error: `Unknown engine: ${name}.`, status: 400 };
+  const settings = defaultEngineSettings(definition);
+  const unknown = Object.keys(overrides).find((key) => !(key in settings));
+  if (unknown) return { error: `Unsupported engine option: ${unknown}.`, status: 400 };
+  if (!Object.keys(overrides).length) return { settings };
+
+  let info;
+  try {
+    info = await getEnginePool(definition.name).engineInfo();
+  } catch (err) {
+    return { error: `Engine unavailable: ${err.message}`, status: 503 };
+  }
+  const bounds = engineSettingBounds(info);
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!bounds[key]) return { error: `${info.name || 'The engine'} does not support engine.${key}.`, status: 400 };
+    const [min, max] = bounds[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `engine.${key} must be an integer from ${min} to ${max}.`, status: 400 };
+    }
+    settings[key] = value;
+  }
+  return { settings };
+}
+
+// Generous enough for the slowest search the settings allow: 15 seconds up
+// to depth 12, doubling every four plies beyond, or the movetime plus slack
+function searchTimeoutMs(depth, options) {
+  const byDepth = 15000 * 2 ** Math.max(0, (depth - 12) / 4);
+  return options.movetime ? Math.min(byDepth, options.movetime + 5000) : byDepth;
+}
+
+// Timeouts and crashes; StockfishEngine retries these, anything else fails
+function engineFailure(reason, message) {
+  const err = new Error(message);
+  err.name = 'EngineFailure';
+  err.reason = reason;
+  return err;
+}
+
+function isEngineFailure(err) {
+  return Boolean(err) && err.name === 'EngineFailure';
+}
+
+// `id name`/`id author` and every `option` line from the `uci` handshake
+function parseUciHandshake(lines) {
+  const info = { name: '', author: '', options: [] };
+  for (const line of lines) {
+    if (line.startsWith('id name ')) info.name = line.slice(8).trim();
+    else if (line.startsWith('id author ')) info.author = line.slice(10).trim();
+    else if (line.startsWith('option name ')) {
+      const option = parseUciOption(line);
+      if (option) info.options.push(option);
+    }
+  }
+  return info;
+}
+
+function parseUciOption(line) {
+  const match = /^option name (.+?) type (\S+)(.*)$/.exec(line);
+  if (!match) return null;
+  const option = { name: match[1], type: match[2] };
+  const fields = /\s(default|min|max|var)(?:\s(.*?))?(?=\s(?:default|min|max|var)(?:\s|$)|$)/g;
+  let field;
+  while ((field = fields.exec(match[3])) !== null) {
+    const [, key, raw = ''] = field;
+    if (key === 'var') (option.vars = option.vars || []).push(raw);
+    else if (key === 'min' || key === 'max') option[key] = parseInt(raw, 10);
+    else if (option.type === 'spin') option.default = parseInt(raw, 10);
+    else if (option.type === 'check') option.default = raw === 'true';
+    else option.default = raw === '<empty>' ? '' : raw;
+  }
+  return option;
+}
+
 class StockfishEngine {
-  constructor(binaryPath) {
+  constructor(binaryPath, uciOptions = {}) {
     this.binaryPath = binaryPath;
+    this.uciOptions = uciOptions;
     this.process = null;
     this.rl = null;
     this.waiters = [];
     this.currentAnalysis = null;
     this.queue = Promise.resolve();
+    this.exited = false;
+    this.info = null;
+    this.failSearch = null;
   }
 
   async init() {
@@ -1383,20 +3648,42 @@ class StockfishEngine {
       log('warn', 'Stockfish stderr', { output: data.toString().trim() });
     });
 
-    this.process.on('exit', (code, signal) => {
+    // Only the current process counts: a respawned engine ignores the exit
+    // of the one it replaced
+    const child = this.process;
+    child.on('exit', (code, signal) => {
+      if (this.process !== child) return;
+      this.exited = true;
       log('info', 'Stockfish exited', { code, signal });
+      if (this.failSearch) this.failSearch(engineFailure('crash', 'Stockfish process exited.'));
     });
 
     this.rl = readline.createInterface({ input: this.process.stdout });
     this.rl.on('line', (line) => this._onLine(line));
 
+    const handshake = [];
     this.send('uci');
-    await this.waitFor((line) => line === 'uciok', 5000);
+    await this.waitFor((line) => {
+      handshake.push(line);
+      return line === 'uciok';
+    }, 5000);
+    this.info = parseUciHandshake(handshake);
 
     this.send('setoption name UCI_AnalyseMode value true');
     this.send('setoption name MultiPV value 1');
-    this.send('setoption name Threads value 1');
-    this.send('setoption name Hash value 128');
+    this.multiPv = 1;
+    this.send(`setoption name Threads value ${STOCKFISH_THREADS}`);
+    this.threads = STOCKFISH_THREADS;
+    this.send(`setoption name Hash value ${STOCKFISH_HASH}`);
+    this.hash = STOCKFISH_HASH;
+    for (const [name, value] of Object.entries(this.uciOptions)) {
+      this.send(`setoption name ${name} value ${value}`);
+      if (name === 'Threads') this.threads = value;
+      if (name === 'Hash') this.hash = value;
+    }
+    this.defaultThreads = this.threads;
+    this.defaultHash = this.hash;
+    if (SYZYGY_PATH) this.send(`setoption name SyzygyPath value ${SYZYGY_PATH}`);
 
     this.send('isready');
     await this.waitFor((line) => line === 'readyok', 5000);
@@ -1404,57 +3691,161 @@ class StockfishEngine {
 
   async quit() {
     if (!this.process) return;
+    this.exited = true;
     this.send('quit');
     this.rl.close();
     this.process.kill();
   }
 
-  analyze(fen, depth) {
-    this.queue = this.queue.then(() => this._analyze(fen, depth));
-    return this.queue;
+  analyze(fen, depth, options = {}) {
+    const run = this.queue.then(() => this._analyzeWithRetry(fen, depth, options));
+    // A failed or aborted search must not poison the searches queued after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // A search that times out or loses its process is recovered in place (the
+  // engine resynced or respawned) and the position searched again, up to
+  // ENGINE_MAX_RETRIES times. options.onRetry hears about each retry.
+  async _analyzeWithRetry(fen, depth, options) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        if (this.exited) await this.restart();
+        return await this._analyze(fen, depth, options);
+      } catch (err) {
+        if (!isEngineFailure(err) || (options.signal && options.signal.aborted)) throw err;
+        log('warn', 'Stockfish search failed', { reason: err.reason, attempt, fen });
+        await this.recover(err.reason);
+        if (attempt > ENGINE_MAX_RETRIES) throw err;
+        if (options.onRetry) options.onRetry({ attempt, reason: err.reason });
+      }
+    }
+  }
+
+  // After a timeout the search is stopped and the engine resynced with
+  // isready so its stale output can't leak into the next search; a crashed
+  // or unresponsive engine is respawned
+  async recover(reason) {
+    if (reason === 'timeout' && !this.exited) {
+      try {
+        this.send('stop');
+        await this.waitFor((line) => line.startsWith('bestmove'), ENGINE_RESYNC_TIMEOUT_MS);
+        this.send('isready');
+        await this.waitFor((line) => line === 'readyok', ENGINE_RESYNC_TIMEOUT_MS);
+        return;
+      } catch (err) {
+        log('warn', 'Stockfish did not resync, respawning', { path: this.binaryPath });
+      }
+    }
+    await this.restart();
+  }
+
+  async restart() {
+    await this.quit();
+    this.process = null;
+    this.exited = false;
+    for (const waiter of this.waiters) clearTimeout(waiter.timeout);
+    this.waiters = [];
+    this.currentAnalysis = null;
+    await this.init();
   }
 
-  _analyze(fen, depth) {
+  _analyze(fen, depth, options) {
     return new Promise((resolve, reject) => {
-      const best = {
-        depth: -1,
-        cp: null,
-        mate: null,
-        pv: '',
-        bestMove: ''
+      const multipv = options.multipv || 1;
+      const signal = options.signal;
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      // One slot per MultiPV line; slot 0 is the engine's best line
+      const lines = [];
+
+      // Ends the search with an error: a timeout, a crash or an abort
+      const fail = (err) => {
+        clearTimeout(timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.currentAnalysis = null;
+        this.failSearch = null;
+        reject(err);
       };
+      this.failSearch = fail;
 
       const timeout = setTimeout(() => {
-        this.currentAnalysis = null;
-        reject(new Error('Stockfish analysis timed out.'));
-      }, 15000);
+        fail(engineFailure('timeout', 'Stockfish analysis timed out.'));
+      }, searchTimeoutMs(depth, options));
+
+      // An abandoned search is stopped and the process quit; the pool drops
+      // exited engines on release and spawns a fresh one when next needed.
+      // With stopOnAbort the search is only stopped and resolves with what
+      // it found so far, keeping the engine.
+      const onAbort = () => {
+        this.send('stop');
+        if (options.stopOnAbort) return;
+        this.quit();
+        fail(abortError());
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
       this.currentAnalysis = (line) => {
         if (line.startsWith('info')) {
           const depthMatch = line.match(/\bdepth (\d+)\b/);
           const depthValue = depthMatch ? parseInt(depthMatch[1], 10) : null;
-          if (depthValue !== null && depthValue >= best.depth) {
+          const multipvMatch = line.match(/\bmultipv (\d+)\b/);
+          const index = multipvMatch ? parseInt(multipvMatch[1], 10) - 1 : 0;
+          const current = lines[index] || { depth: -1, cp: null, mate: null, pv: '' };
+          if (depthValue !== null && depthValue >= current.depth) {
             const cpMatch = line.match(/\bscore cp (-?\d+)\b/);
             const mateMatch = line.match(/\bscore mate (-?\d+)\b/);
             const pvMatch = line.match(/\bpv (.+)$/);
-            best.depth = depthValue;
-            best.cp = cpMatch ? parseInt(cpMatch[1], 10) : best.cp;
-            best.mate = mateMatch ? parseInt(mateMatch[1], 10) : best.mate;
-            best.pv = pvMatch ? pvMatch[1] : best.pv;
+            current.depth = depthValue;
+            if (cpMatch || mateMatch) {
+              current.cp = cpMatch ? parseInt(cpMatch[1], 10) : null;
+              current.mate = mateMatch ? parseInt(mateMatch[1], 10) : null;
+            }
+            current.pv = pvMatch ? pvMatch[1] : current.pv;
+            lines[index] = current;
+            if (options.onInfo && pvMatch) options.onInfo(index, lines);
           }
         }
 
         if (line.startsWith('bestmove')) {
           clearTimeout(timeout);
+          if (signal) signal.removeEventListener('abort', onAbort);
           const tokens = line.split(/\s+/);
-          best.bestMove = tokens[1] || '';
+          const best = lines[0] || { depth: -1, cp: null, mate: null, pv: '' };
           this.currentAnalysis = null;
-          resolve({ cp: best.cp, mate: best.mate, pv: best.pv, bestMove: best.bestMove });
+          this.failSearch = null;
+          resolve({
+            cp: best.cp,
+            mate: best.mate,
+            pv: best.pv,
+            bestMove: tokens[1] || '',
+            lines: lines.filter((l) => l && l.pv)
+          });
         }
       };
 
+      if (multipv !== this.multiPv) {
+        this.send(`setoption name MultiPV value ${multipv}`);
+        this.multiPv = multipv;
+      }
+      // Per-request settings stay on the engine until the next search changes them
+      const threads = options.threads || this.defaultThreads;
+      if (threads !== this.threads) {
+        this.send(`setoption name Threads value ${threads}`);
+        this.threads = threads;
+      }
+      const hash = options.hash || this.defaultHash;
+      if (hash !== this.hash) {
+        this.send(`setoption name Hash value ${hash}`);
+        this.hash = hash;
+      }
+      let go = `go depth ${depth}`;
+      if (options.movetime) go += ` movetime ${options.movetime}`;
+      if (options.nodes) go += ` nodes ${options.nodes}`;
       this.send(`position fen ${fen}`);
-      this.send(`go depth ${depth}`);
+      this.send(go);
     });
   }
 
@@ -1492,14 +3883,169 @@ class StockfishEngine {
   }
 }
 
-async function generateExplanation(facts) {
+// Shared pool of Stockfish processes. Engines are spawned lazily up to `size`
+// and leased one position at a time, so concurrent analyses interleave fairly
+// instead of each forking its own engine.
+class EnginePool {
+  constructor(binaryPath, size, uciOptions = {}) {
+    this.binaryPath = binaryPath;
+    this.uciOptions = uciOptions;
+    this.size = Math.max(1, size || 1);
+    this.engines = [];
+    this.idle = [];
+    this.waiters = [];
+    this.closed = false;
+    this.info = null;
+  }
+
+  async acquire(signal) {
+    if (this.closed) throw new Error('Engine pool is shut down.');
+    if (signal && signal.aborted) throw abortError();
+    if (this.idle.length) return this.idle.pop();
+    if (this.engines.length < this.size) return this._spawn();
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      if (signal) {
+        const onAbort = () => {
+          this.waiters = this.waiters.filter((w) => w !== waiter);
+          reject(abortError());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiter.resolve = (engine) => {
+          signal.removeEventListener('abort', onAbort);
+          // A replacement engine can finish spawning after the abort
+          if (signal.aborted) this.release(engine);
+          else resolve(engine);
+        };
+      }
+      this.waiters.push(waiter);
+    });
+  }
+
+  release(engine) {
+    if (!this.engines.includes(engine)) return;
+
+    if (engine.exited || this.closed) {
+      this.engines = this.engines.filter((e) => e !== engine);
+      engine.quit();
+      // Replace the dead engine for whoever is waiting on it
+      const waiter = this.waiters.shift();
+      if (waiter) this._spawn().then(waiter.resolve, waiter.reject);
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) waiter.resolve(engine);
+    else this.idle.push(engine);
+  }
+
+  // What the engine reported in its handshake, from the first engine spawned
+  async engineInfo() {
+    if (!this.info) await this.withEngine(() => {});
+    return this.info;
+  }
+
+  async withEngine(fn, signal) {
+    const engine = await this.acquire(signal);
+    try {
+      return await fn(engine);
+    } finally {
+      this.release(engine);
+    }
+  }
+
+  // Evaluate every FEN across the pool. Results come back in input order and
+  // onProgress(current, total) only ever counts the contiguous finished prefix.
+  // Aborting options.signal stops in-flight searches and rejects.
+  async analyzeMany(fens, depth, options, onProgress) {
+    const report = onProgress || (() => {});
+    const results = new Array(fens.length);
+    let next = 0;
+    let reported = 0;
+    let failed = false;
+
+    const worker = async () => {
+      while (!failed && next < fens.length) {
+        const index = next++;
+        try {
+          results[index] = await this.withEngine((engine) => engine.analyze(fens[index], depth, options), options.signal);
+        } catch (err) {
+          failed = true;
+          throw err;
+        }
+        while (reported < fens.length && results[reported]) {
+          reported += 1;
+          report(reported, fens.length);
+        }
+      }
+    };
+
+    const workers = Math.min(this.size, fens.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+  }
+
+  async shutdown() {
+    this.closed = true;
+    for (const waiter of this.waiters) {
+      waiter.reject(new Error('Engine pool is shut down.'));
+    }
+    this.waiters = [];
+    const engines = this.engines;
+    this.engines = [];
+    this.idle = [];
+    await Promise.all(engines.map((engine) => engine.quit()));
+  }
+
+  async _spawn() {
+    const engine = new StockfishEngine(this.binaryPath, this.uciOptions);
+    this.engines.push(engine);
+    log('info', 'Engine pool grow', { size: this.engines.length, max: this.size });
+    try {
+      await engine.init();
+      if (!this.info) this.info = engine.info;
+    } catch (err) {
+      this.engines = this.engines.filter((e) => e !== engine);
+      await engine.quit();
+      throw err;
+    }
+    return engine;
+  }
+}
+
+// One pool per registry engine, created on first use
+const enginePools = new Map();
+function getEnginePool(name) {
+  const definition = getEngineDefinition(name);
+  if (!definition) throw new Error(`Unknown engine: ${name}.`);
+  let pool = enginePools.get(definition.name);
+  if (!pool) {
+    pool = new EnginePool(definition.path, STOCKFISH_POOL_SIZE, definition.options);
+    enginePools.set(definition.name, pool);
+    const threads = defaultEngineSettings(definition).threads;
+    const cores = os.cpus().length;
+    if (threads * STOCKFISH_POOL_SIZE > cores) {
+      log('warn', 'Engine threads exceed cores', { engine: definition.name, threads, poolSize: STOCKFISH_POOL_SIZE, cores });
+    }
+  }
+  return pool;
+}
+
+async function shutdownEnginePools() {
+  const pools = [...enginePools.values()];
+  enginePools.clear();
+  await Promise.all(pools.map((pool) => pool.shutdown()));
+}
+
+async function generateExplanation(facts, signal) {
   if (!GEMINI_API_KEY) {
     return {
       summary: 'LLM not configured. Set GEMINI_API_KEY to enable coach explanations.',
-      whyBad: 'Stockfish evaluation dropped for the player.',
+      whyBad: threatSentence(facts.threat) || motifSentence(facts.motifs, 'refutation') || 'Stockfish evaluation dropped for the player.',
       betterMove: facts.bestMove,
       tip: 'Compare your move to Stockfish\'s top line and look for tactical threats.',
-      factsUsed: ['evalBefore', 'evalAfter', 'deltaCp', 'bestMove', 'pvLine']
+      factsUsed: ['evalBefore', 'evalAfter', 'deltaCp', 'bestMove', 'pvLine'],
+      llm: false
     };
   }
 
@@ -1510,7 +4056,7 @@ async function generateExplanation(facts) {
     });
   }
 
-  return await generateCoachExplanation(facts);
+  return await generateCoachExplanation(facts, signal);
 }
 
 function safeParseJson(text) {
@@ -1605,7 +4151,7 @@ function normalizeModel(model) {
 }
 
 
-async function callGemini(model, body, meta) {
+async function callGemini(model, body, meta, signal) {
   const modelPath = normalizeModel(model);
   if (!modelPath) {
     return { ok: false, error: 'Model not configured' };
@@ -1618,9 +4164,11 @@ async function callGemini(model, body, meta) {
     response = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      signal
     });
   } catch (err) {
+    if (isAbortError(err)) return { ok: false, error: 'Aborted' };
     const msg = `Network error: ${err.message || 'unknown error'}`;
     if (lastGeminiError !== msg) {
       lastGeminiError = msg;
@@ -1648,11 +4196,11 @@ async function callGemini(model, body, meta) {
   return { ok: true, text };
 }
 
-async function generateCoachExplanation(facts) {
+async function generateCoachExplanation(facts, signal) {
   const fallback = {
     summary: `${facts.sideToMove}'s ${facts.move} was a ${facts.label}, losing about ${Math.abs(facts.deltaCp)} centipawns.`,
-    whyBad: 'The engine evaluation dropped significantly after this move.',
-    betterMove: `${facts.bestMove} was the engine's preferred move.`,
+    whyBad: threatSentence(facts.threat) || motifSentence(facts.motifs, 'refutation') || 'The engine evaluation dropped significantly after this move.',
+    betterMove: motifSentence(facts.motifs, 'best') || `${facts.bestMove} was the engine's preferred move.`,
     tip: 'Look at the engine line and consider what threats it creates.',
     factsUsed: ['evalBefore', 'evalAfter', 'deltaCp', 'bestMove', 'pvLine']
   };
@@ -1671,7 +4219,9 @@ async function generateCoachExplanation(facts) {
     'IMPORTANT RULES:',
     '- Talk like a real coach, not a computer. Say things like "Your knight was beautifully placed on d5, but this move lets them kick it away" not "eval decreased by 87cp".',
     '- Reference specific squares, pieces, and ideas from the FEN position.',
-    '- Name the chess theme when relevant: pin, fork, discovered attack, outpost, weak back rank, open file, pawn break, etc.',
+    '- Tactical themes (hanging piece, fork, pin, skewer, discovered attack, back-rank weakness, mate threat) come from the detected motifs below. Name those when relevant and never name a tactic that is not listed.',
+    '- If the played move ignored the opponent\'s threat, say so plainly and name the threat move (e.g. "you ignored the threat of Qxh7").',
+    '- Positional themes (outpost, open file, pawn break, weak squares) are fine when the FEN supports them.',
     '- Do NOT just restate the eval numbers. The player can see those already.',
     '- Do NOT invent tactics or material changes not supported by the position.',
     '',
@@ -1687,12 +4237,21 @@ async function generateCoachExplanation(facts) {
   const userPrompt = [
     `Position (FEN): ${facts.fen}`,
     `Move played: ${facts.sideToMove} played ${facts.move}`,
-    `Classification: ${facts.label}`,
+    `Classification: ${facts.label}${facts.label === 'miss' ? ' (the opponent had just erred and this move failed to punish it)' : ''}`,
     `Eval before the move: ${facts.evalBefore}`,
     `Eval after the move: ${facts.evalAfter}`,
     `Centipawn loss: ${Math.abs(facts.deltaCp)}`,
+    `Mover's win chance: ${facts.winBefore}% before, ${facts.winAfter}% after`,
     `Engine's best move: ${facts.bestMove}`,
     `Engine's main line: ${facts.pvLine || 'not available'}`,
+    `Detected motifs: ${formatMotifs(facts.motifs)}`,
+    `Opponent's threat before the move: ${formatThreat(facts.threat)}`,
+    ...(facts.tablebase ? [
+      `Tablebase (exact, overrides the evals): ${facts.tablebase.before} for the mover before the move, ${facts.tablebase.after} after it`
+    ] : []),
+    ...(facts.clock ? [
+      `Clock: ${facts.clock} left after the move${facts.timeSpent !== null ? `, ${facts.timeSpent}s spent on it` : ''}${facts.timeTrouble ? ' (in time trouble — mention it)' : ''}`
+    ] : []),
     '',
     'Coach this move.'
   ].join('\n');
@@ -1719,7 +4278,7 @@ async function generateCoachExplanation(facts) {
     }
   };
 
-  const result = await callGemini(GEMINI_PRIMARY_MODEL, body, { move: facts.move, label: facts.label });
+  const result = await callGemini(GEMINI_PRIMARY_MODEL, body, { move: facts.move, label: facts.label }, signal);
   if (!result.ok) {
     log('warn', 'Gemini coach call failed', { move: facts.move, error: result.error });
     return fallback;
@@ -1740,6 +4299,17 @@ async function generateCoachExplanation(facts) {
   };
 }
 
+function formatMotifs(motifs) {
+  if (!motifs || !motifs.length) return 'none';
+  return motifs.map((m) => `${m.line === 'best' ? 'missed' : 'allowed'} ${MOTIF_NAMES[m.type]} (${m.text})`).join('; ');
+}
+
+function motifSentence(motifs, line) {
+  const motif = (motifs || []).find((m) => m.line === line);
+  if (!motif) return '';
+  const text = motif.text.charAt(0).toUpperCase() + motif.text.slice(1);
+  return line === 'refutation' ? `It allowed a ${MOTIF_NAMES[motif.type]}: ${text}.` : `${text}.`;
+}
 
 async function readGeminiError(response) {
   try {
@@ -1760,5 +4330,8 @@ async function readGeminiError(response) {
 
 module.exports = {
   analyzeGame,
-  StockfishEngine
+  StockfishEngine,
+  EnginePool,
+  getEnginePool,
+  shutdownEnginePools
 };